@@ -0,0 +1,166 @@
+import puppeteer from 'puppeteer';
+
+/**
+ * Shares a single headless browser between all Puppeteer-based scraping.
+ *
+ * The browser is launched on first use, at most `maxPages` pages are open at once
+ * (further requests wait for a free page), and the browser is closed after it has
+ * been idle for `idleTimeoutMs`. If Chromium crashes or disconnects, the next
+ * request launches a fresh browser.
+ */
+export class BrowserPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.maxPages - Maximum number of pages open at the same time
+   * @param {number} options.idleTimeoutMs - Close the browser after this long without open pages
+   * @param {Object} options.launchOptions - Options passed to puppeteer.launch
+   */
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || 2;
+    this.idleTimeoutMs = options.idleTimeoutMs || 60 * 1000;
+    this.launchOptions = options.launchOptions || {
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    };
+
+    this.browser = null;
+    this.launching = null;
+    this.openPages = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+  }
+
+  /**
+   * Get the shared browser, launching it if needed
+   * @returns {Promise<Browser>} Puppeteer browser
+   */
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = (async () => {
+        console.log('🌐 Launching shared browser...');
+        const browser = await puppeteer.launch(this.launchOptions);
+
+        // Forget the browser if Chromium crashes or is closed, so the next page relaunches it
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            console.warn('⚠️ Shared browser disconnected');
+            this.browser = null;
+          }
+        });
+
+        this.browser = browser;
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Wait for a free page slot
+   * @returns {Promise<void>} Resolves once a slot has been reserved
+   */
+  async acquireSlot() {
+    clearTimeout(this.idleTimer);
+
+    if (this.openPages < this.maxPages) {
+      this.openPages++;
+      return;
+    }
+
+    // The slot is handed over directly by releaseSlot, so openPages stays the same
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a page slot, handing it to the next waiting request if there is one
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.openPages--;
+    if (this.openPages === 0) {
+      this.idleTimer = setTimeout(() => this.close(), this.idleTimeoutMs);
+      this.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Run a function with a page from the shared browser. The page is always closed
+   * afterwards, and the function is retried once on a fresh browser if the browser
+   * crashed while it was running.
+   * @param {Function} fn - Async function receiving the page
+   * @param {Object} options - Page options
+   * @param {string} options.userAgent - User agent for the page
+   * @returns {Promise<*>} The function's result
+   */
+  async withPage(fn, { userAgent } = {}) {
+    await this.acquireSlot();
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const browser = await this.getBrowser();
+        let page = null;
+
+        try {
+          page = await browser.newPage();
+          if (userAgent) {
+            await page.setUserAgent(userAgent);
+          }
+
+          // Chart pages only need their markup and scripts, so skip heavy resources
+          await page.setRequestInterception(true);
+          page.on('request', request => {
+            if (['image', 'media', 'font'].includes(request.resourceType())) {
+              request.abort();
+            } else {
+              request.continue();
+            }
+          });
+
+          return await fn(page);
+        } catch (error) {
+          if (attempt === 1 && !browser.isConnected()) {
+            console.warn(`⚠️ Browser crashed (${error.message}), retrying with a new browser...`);
+            continue;
+          }
+          throw error;
+        } finally {
+          if (page && !page.isClosed()) {
+            await page.close().catch(() => {});
+          }
+        }
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Close the shared browser
+   * @returns {Promise<void>} Resolves once the browser has closed
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+
+    const browser = this.browser;
+    this.browser = null;
+
+    if (browser) {
+      console.log('🌐 Closing shared browser');
+      await browser.close().catch(error => {
+        console.warn('⚠️ Failed to close browser:', error.message);
+      });
+    }
+  }
+}
@@ -0,0 +1,248 @@
+import path from 'path';
+import { JsonFileStore, DEFAULT_DATA_DIR } from './jsonFileStore.js';
+import { DEFAULT_CHART_TYPE } from './chartTypes.js';
+
+// Bump when the shape of scraped chart entries or cache keys changes, so older cached charts are re-scraped
+const ENTRY_FORMAT_VERSION = 5;
+
+/**
+ * Persistent store of scraped charts, kept in front of the live scraper.
+ *
+ * Charts for closed periods (past years, finished weeks) never change, so complete
+ * scrapes of them are kept forever. Charts that can still change, or scrapes whose
+ * report shows missing positions, expire after a short TTL and are re-scraped on
+ * the next request. If re-scraping fails, the expired copy is served rather than
+ * an error.
+ */
+export class ChartCache {
+  /**
+   * @param {ChartSource} scraper - Chart source used when a lookup doesn't name one
+   * @param {Object} options - Cache options
+   * @param {string} options.dataDir - Directory for the cache file
+   * @param {number} options.openPeriodTtlMs - TTL for the current year or week
+   * @param {number} options.incompleteTtlMs - TTL for scrapes with missing positions
+   */
+  constructor(scraper, options = {}) {
+    this.scraper = scraper;
+    this.store = new JsonFileStore(
+      path.join(options.dataDir || DEFAULT_DATA_DIR, 'chart-cache.json'),
+      { charts: {} }
+    );
+    this.openPeriodTtlMs = options.openPeriodTtlMs || 6 * 60 * 60 * 1000; // 6 hours
+    this.incompleteTtlMs = options.incompleteTtlMs || 60 * 60 * 1000; // 1 hour
+    this.pending = new Map();
+  }
+
+  /**
+   * Build the cache key for a chart
+   * @param {string} chartTypeId - Chart type ID
+   * @param {string} period - Year (e.g. "2024") or chart week start date (e.g. "week-2024-01-05")
+   * @param {ChartSource} source - Chart source (default: the cache's scraper)
+   * @returns {string} Cache key
+   */
+  getKey(chartTypeId, period, source = this.scraper) {
+    return `${source.cacheId}:${source.getChartType(chartTypeId).id}:${period}`;
+  }
+
+  /**
+   * Get an end-of-year chart, from the cache when possible
+   * @param {number} year - Chart year
+   * @param {number} limit - Number of entries needed
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Skip the cache and re-scrape
+   * @param {ChartSource} options.source - Chart source (default: the cache's scraper)
+   * @returns {Promise<{tracks: Array, report: Object, cache: Object}>} Chart entries, scrape report and cache status
+   */
+  async getYearChart(year, limit = 100, chartTypeId = DEFAULT_CHART_TYPE, { refresh = false, source = this.scraper } = {}) {
+    const closed = year < new Date().getFullYear();
+
+    return this.getChart(this.getKey(chartTypeId, year, source), {
+      limit,
+      closed,
+      refresh,
+      cacheable: source.cacheable,
+      fetch: () => source.getYearChartData(year, limit, chartTypeId)
+    });
+  }
+
+  /**
+   * Get the weekly chart for the week containing a date, from the cache when possible
+   * @param {string|Date} date - Any date within the chart week
+   * @param {number} limit - Number of entries needed
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Skip the cache and re-scrape
+   * @param {ChartSource} options.source - Chart source (default: the cache's scraper)
+   * @returns {Promise<{tracks: Array, report: Object, cache: Object}>} Chart entries, scrape report and cache status
+   */
+  async getWeeklyChart(date, limit = 100, chartTypeId = DEFAULT_CHART_TYPE, { refresh = false, source = this.scraper } = {}) {
+    const week = source.resolveChartWeek(date);
+    const closed = new Date(`${week.end}T23:59:59Z`) < new Date();
+
+    return this.getChart(this.getKey(chartTypeId, `week-${week.start}`, source), {
+      limit,
+      closed,
+      refresh,
+      cacheable: source.cacheable,
+      fetch: () => source.getWeeklyChartData(date, limit, chartTypeId)
+    });
+  }
+
+  /**
+   * Look up a chart in the cache, scraping and storing it when missing or expired
+   * @param {string} key - Cache key
+   * @param {Object} options - Lookup options
+   * @param {number} options.limit - Number of entries needed
+   * @param {boolean} options.closed - Whether the chart period is over and can't change
+   * @param {boolean} options.refresh - Skip the cache and re-scrape
+   * @param {boolean} options.cacheable - Whether the chart may be stored (default: true)
+   * @param {Function} options.fetch - Scrapes the chart, resolving to its tracks and scrape report
+   * @returns {Promise<{tracks: Array, report: Object, cache: Object}>} Chart entries, scrape report and cache status
+   */
+  async getChart(key, { limit, closed, refresh, cacheable = true, fetch }) {
+    // Sources such as user-supplied templates are scraped on every request and never stored
+    if (!cacheable) {
+      const { tracks, report } = await fetch();
+      return this.formatResult({ tracks, report, cachedAt: null, expiresAt: new Date().toISOString(), complete: report.complete }, 'uncached', limit);
+    }
+
+    const store = await this.store.load();
+    const cached = store.charts[key];
+
+    // Entries scraped with a smaller limit or in an older format can't answer the request
+    const usable = cached && cached.limit >= limit && cached.version === ENTRY_FORMAT_VERSION;
+    const fresh = usable && (cached.expiresAt === null || Date.parse(cached.expiresAt) > Date.now());
+
+    if (fresh && !refresh) {
+      console.log(`📦 Serving ${key} from chart cache`);
+      return this.formatResult(cached, 'hit', limit);
+    }
+
+    try {
+      const entry = await this.scrape(key, { limit, closed, fetch });
+      return this.formatResult(entry, refresh ? 'refreshed' : (usable ? 'revalidated' : 'miss'), limit);
+    } catch (error) {
+      if (usable) {
+        console.warn(`⚠️ Re-scraping ${key} failed, serving expired copy: ${error.message}`);
+        return this.formatResult(cached, 'stale', limit);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Scrape a chart and store the result, sharing the scrape between concurrent requests
+   * @param {string} key - Cache key
+   * @param {Object} options - Scrape options (limit, closed, fetch)
+   * @returns {Promise<Object>} The stored cache entry
+   */
+  async scrape(key, { limit, closed, fetch }) {
+    if (!this.pending.has(key)) {
+      const scraping = (async () => {
+        const { tracks, report } = await fetch();
+        const complete = report.complete;
+
+        // Only complete charts for closed periods are kept forever, so a partial scrape
+        // of a historic chart gets another chance later
+        const ttl = !complete ? this.incompleteTtlMs : (closed ? null : this.openPeriodTtlMs);
+        const now = Date.now();
+
+        const entry = {
+          version: ENTRY_FORMAT_VERSION,
+          tracks,
+          report,
+          limit,
+          complete,
+          cachedAt: new Date(now).toISOString(),
+          expiresAt: ttl === null ? null : new Date(now + ttl).toISOString()
+        };
+
+        const store = await this.store.load();
+        store.charts[key] = entry;
+
+        // Drop charts cached in an older format; they'd be re-scraped anyway
+        Object.keys(store.charts)
+          .filter(cachedKey => store.charts[cachedKey].version !== ENTRY_FORMAT_VERSION)
+          .forEach(cachedKey => delete store.charts[cachedKey]);
+
+        await this.store.save();
+
+        console.log(`💾 Cached ${key} (${tracks.length} entries, ${ttl === null ? 'permanent' : `expires ${entry.expiresAt}`})`);
+        return entry;
+      })().finally(() => this.pending.delete(key));
+
+      this.pending.set(key, scraping);
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Build the API result for a cache entry
+   * @param {Object} entry - Cache entry
+   * @param {string} status - 'hit', 'miss', 'revalidated', 'refreshed', 'stale' or 'uncached'
+   * @param {number} limit - Number of entries requested
+   * @returns {{tracks: Array, report: Object, cache: Object}} Chart entries, scrape report and cache status
+   */
+  formatResult(entry, status, limit) {
+    return {
+      tracks: entry.tracks.slice(0, limit),
+      report: entry.report,
+      cache: {
+        status,
+        cachedAt: entry.cachedAt,
+        expiresAt: entry.expiresAt,
+        permanent: entry.expiresAt === null,
+        complete: entry.complete
+      }
+    };
+  }
+
+  /**
+   * List cached charts without their entries
+   * @returns {Promise<Array>} Cache entry summaries
+   */
+  async list() {
+    const store = await this.store.load();
+
+    return Object.entries(store.charts).map(([key, entry]) => ({
+      key,
+      tracks: entry.tracks.length,
+      complete: entry.complete,
+      cachedAt: entry.cachedAt,
+      expiresAt: entry.expiresAt,
+      permanent: entry.expiresAt === null
+    }));
+  }
+
+  /**
+   * Remove charts from the cache
+   * @param {Object} filter - Which charts to remove; removes everything when empty
+   * @param {ChartSource} filter.source - Only remove charts from this source
+   * @param {string} filter.chartType - Only remove charts of this type; requires source
+   * @param {string} filter.period - Only remove this period (a year or "week-YYYY-MM-DD"); requires chartType
+   * @returns {Promise<Array<string>>} Keys that were removed
+   */
+  async purge({ source, chartType, period } = {}) {
+    const store = await this.store.load();
+    let keys = Object.keys(store.charts);
+
+    if (source && chartType && period) {
+      keys = keys.filter(key => key === this.getKey(chartType, period, source));
+    } else if (source && chartType) {
+      keys = keys.filter(key => key.startsWith(`${source.cacheId}:${source.getChartType(chartType).id}:`));
+    } else if (source) {
+      keys = keys.filter(key => key.startsWith(`${source.cacheId}:`));
+    }
+
+    keys.forEach(key => delete store.charts[key]);
+
+    if (keys.length > 0) {
+      await this.store.save();
+      console.log(`🗑️ Purged ${keys.length} chart(s) from cache`);
+    }
+
+    return keys;
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Normalization of scraped chart entries.
+ *
+ * Official Charts lists titles and artists in upper case with chart annotations
+ * mixed in, e.g. "DESPACITO (REMIX)" by "LUIS FONSI/DADDY YANKEE FT JUSTIN BIEBER".
+ * Every scraping strategy's entries go through normalizeChartEntry, which restores
+ * readable casing, separates lead and featured artists, and builds the Spotify
+ * search query from the structured result.
+ */
+
+// Words kept in lower case inside titles (unless first or last)
+const SMALL_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into', 'nor',
+  'of', 'on', 'or', 'the', 'to', 'vs', 'vs.', 'with', 'ft', 'ft.', 'feat', 'feat.'
+]);
+
+// Words that stay in upper case
+const UPPERCASE_WORDS = new Set([
+  'DJ', 'MC', 'UK', 'USA', 'EP', 'TV', 'OK', 'NYC', 'LA', 'DNA', 'BBC', 'ABC', 'LSD', 'SOS', 'UFO',
+  'II', 'III', 'IV', 'VI', 'VII', 'VIII', 'IX', 'XI', 'XII', 'AC/DC'
+]);
+
+// Acts whose names contain a separator and must not be split
+const UNSPLIT_ARTISTS = [
+  'AC/DC', 'SIMON & GARFUNKEL', 'HALL & OATES', 'DARYL HALL & JOHN OATES', 'MUMFORD & SONS',
+  'EARTH WIND & FIRE', 'EARTH, WIND & FIRE', 'SAM & DAVE', 'PEACHES & HERB', 'ASHFORD & SIMPSON',
+  'KOOL & THE GANG', 'HUEY LEWIS & THE NEWS', 'ANT & DEC', 'PJ & DUNCAN'
+];
+
+// Titles written with a slash that are one song or name, not a double A-side
+// (compared ignoring case and spacing around the slash)
+const UNSPLIT_TITLES = new Set(['AC/DC', 'LOVE/HATE', '24/7', '9/11', 'W/E', 'N/A', 'AND/OR', 'EITHER/OR', 'ON/OFF']);
+
+// Separator between the songs of a double A-side, e.g. "SOMETHING STUPID/ANOTHER SONG"
+// (Official Charts usually leaves out the spaces)
+const MULTI_TITLE_SEPARATOR = /\s*\/\s*/;
+
+// Separators between lead artists, e.g. "CALVIN HARRIS & DUA LIPA", "JACK HARLOW X DOJA CAT".
+// Only a capital X separates, so a lowercase " x " inside a name or title is left alone.
+const LEAD_ARTIST_SEPARATOR = /\s+(?:&|X|[Vv][Ss]\.?)\s+|\s*\/\s*/;
+
+// Separators that introduce featured artists, e.g. "DRAKE FT WIZKID & KYLA"
+const FEATURED_ARTIST_SEPARATOR = /\s+(?:FT\.?|FEAT\.?|FEATURING)\s+/i;
+
+// Separators between featured artists (again only a capital X)
+const FEATURED_ARTISTS_SEPARATOR = /\s+(?:&|X|[Aa][Nn][Dd])\s+|\s*[\/,]\s*/;
+
+// Bracketed chart annotations that aren't part of the release title
+const ANNOTATION_PATTERN = /^(?:RE-?ISSUE|RE-?ENTRY|RE-?RELEASE|IMPORT|DOUBLE A-?SIDE|[\w\s]*CHART EDIT|[\w\s]*RADIO EDIT|EP|LP)$/i;
+
+/**
+ * Convert an upper-case chart string to title case. Text that already uses mixed
+ * case is assumed to be correct and only trimmed.
+ * @param {string} text - Text to convert
+ * @returns {string} Title-cased text
+ */
+export function toTitleCase(text) {
+  const trimmed = (text || '').replace(/\s+/g, ' ').trim();
+  if (trimmed !== trimmed.toUpperCase()) return trimmed;
+
+  const words = trimmed.split(' ');
+
+  return words.map((word, index) => {
+    // Words with digits are usually stylised names (UB40, 2PAC, S1MBA)
+    if (/\d/.test(word)) return word;
+
+    const bare = word.replace(/^[("'[]+|[)"'\],.!?:;]+$/g, '');
+    if (UPPERCASE_WORDS.has(bare)) return word;
+
+    const lower = word.toLowerCase();
+    const isEdge = index === 0 || index === words.length - 1;
+    const nextToBracket = /^[([]/.test(word) || /[)\]]$/.test(words[index - 1] || '');
+    if (!isEdge && !nextToBracket && SMALL_WORDS.has(lower)) return lower;
+
+    // Capitalise the first letter of each hyphenated or slashed part (JAY-Z, AC/DC) and after an O' prefix (O'CONNOR)
+    return lower
+      .replace(/(^|[-/("[])(\p{L})/gu, (match, prefix, letter) => prefix + letter.toUpperCase())
+      .replace(/^(\W*o')(\p{L})/iu, (match, prefix, letter) => prefix.toUpperCase() + letter.toUpperCase());
+  }).join(' ');
+}
+
+/**
+ * Remove bracketed annotations from a chart title
+ * @param {string} title - Chart title
+ * @returns {{title: string, annotations: Array<string>, featuredArtists: Array<string>}}
+ *   Title without annotations, the annotations removed, and any artists named in "(FT ...)" brackets
+ */
+export function stripAnnotations(title) {
+  const annotations = [];
+  const featuredArtists = [];
+
+  // Only trailing brackets are annotations; leading ones are part of titles like "(I CAN'T GET NO) SATISFACTION"
+  let stripped = (title || '').trim();
+  let match;
+  while ((match = stripped.match(/\s*[([{]([^()[\]{}]+)[)\]}]$/)) && match.index > 0) {
+    const content = match[1].trim();
+    const featured = content.match(/^(?:FT\.?|FEAT\.?|FEATURING|WITH)\s+(.+)$/i);
+
+    if (featured) {
+      featuredArtists.push(...splitArtistList(featured[1], FEATURED_ARTISTS_SEPARATOR));
+    } else if (ANNOTATION_PATTERN.test(content)) {
+      annotations.unshift(content);
+    } else {
+      break;
+    }
+
+    stripped = stripped.slice(0, match.index).trim();
+  }
+
+  return { title: stripped, annotations, featuredArtists };
+}
+
+/**
+ * Split a chart artist credit into lead and featured artists
+ * @param {string} artist - Artist credit, e.g. "LUIS FONSI/DADDY YANKEE FT JUSTIN BIEBER"
+ * @returns {{leadArtists: Array<string>, featuredArtists: Array<string>}} Artist names as they appear in the credit
+ */
+export function splitArtists(artist) {
+  const [lead, ...featured] = (artist || '').trim().split(FEATURED_ARTIST_SEPARATOR);
+
+  return {
+    leadArtists: splitArtistList(lead, LEAD_ARTIST_SEPARATOR),
+    featuredArtists: featured.flatMap(part => splitArtistList(part, FEATURED_ARTISTS_SEPARATOR))
+  };
+}
+
+/**
+ * Split a list of artist names on a separator, dropping empty names
+ * @param {string} list - Artist names
+ * @param {RegExp} separator - Separator pattern
+ * @returns {Array<string>} Artist names
+ */
+function splitArtistList(list, separator) {
+  // Hide separators inside unsplittable names, then restore them after splitting
+  const protectedNames = [];
+  let masked = list || '';
+  UNSPLIT_ARTISTS.forEach(name => {
+    const index = masked.toUpperCase().indexOf(name);
+    if (index !== -1) {
+      protectedNames.push(masked.slice(index, index + name.length));
+      masked = masked.slice(0, index) + `\u0000${protectedNames.length - 1}\u0000` + masked.slice(index + name.length);
+    }
+  });
+
+  return masked
+    .split(separator)
+    .map(name => name.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedNames[index]).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build a Spotify search query from a normalized entry
+ * @param {Object} entry - Normalized entry with title and leadArtists
+ * @param {string} entryType - 'track' or 'album'
+ * @returns {string} Search query, e.g. track:"Despacito" artist:"Luis Fonsi"
+ */
+export function buildSearchQuery(entry, entryType = 'track') {
+  const field = entryType === 'album' ? 'album' : 'track';
+  const clean = (text) => text.replace(/"/g, '');
+
+  // Spotify's artist filter matches any credited artist, so the first lead artist is enough
+  // and avoids missing tracks that credit the rest differently
+  const artist = entry.leadArtists[0];
+  return artist ?
+    `${field}:"${clean(entry.title)}" artist:"${clean(artist)}"` :
+    `${field}:"${clean(entry.title)}"`;
+}
+
+/**
+ * Normalize the chart stats scraped alongside an entry
+ * @param {Object} entry - Raw entry, optionally with label, peakPosition, weeksOnChart,
+ *   lastWeekPosition, isNew and isReEntry
+ * @returns {Object} Stats with missing values as null, plus the entry's movement since last week:
+ *   'new', 're-entry', 'up', 'down', 'non-mover' or null when unknown
+ */
+export function normalizeChartStats(entry) {
+  const toPosition = (value) => {
+    const number = parseInt(value);
+    return number > 0 ? number : null;
+  };
+  const toFlag = (value) => value === true || /^(?:true|yes|y|1)$/i.test(String(value ?? ''));
+
+  const stats = {
+    label: entry.label ? String(entry.label).replace(/\s+/g, ' ').trim() : null,
+    peakPosition: toPosition(entry.peakPosition),
+    weeksOnChart: toPosition(entry.weeksOnChart),
+    lastWeekPosition: toPosition(entry.lastWeekPosition),
+    isNew: toFlag(entry.isNew),
+    isReEntry: toFlag(entry.isReEntry)
+  };
+
+  if (stats.isNew) {
+    stats.movement = 'new';
+  } else if (stats.isReEntry) {
+    stats.movement = 're-entry';
+  } else if (stats.lastWeekPosition) {
+    stats.movement = stats.lastWeekPosition > entry.position ? 'up' :
+      (stats.lastWeekPosition < entry.position ? 'down' : 'non-mover');
+  } else {
+    stats.movement = null;
+  }
+
+  return stats;
+}
+
+/**
+ * Split a chart title listing several songs into the individual titles. Bracketed
+ * annotations are stripped first, and only a top-level slash (spaced or not) separates
+ * songs, so "RUN THIS TOWN (FT RIHANNA/KANYE WEST)" and "(REMIX/EDIT)" stay whole, as do
+ * the slashed names in UNSPLIT_TITLES such as "AC/DC".
+ * @param {string} title - Chart title, e.g. "BOHEMIAN RHAPSODY/THESE ARE THE DAYS OF OUR LIVES"
+ * @returns {Array<string>} Song titles (a single title if the entry isn't a multi-title entry)
+ */
+export function splitMultiTitle(title) {
+  const bare = stripAnnotations(title).title;
+  if (UNSPLIT_TITLES.has(bare.replace(/\s*\/\s*/g, '/').toUpperCase())) {
+    return [title];
+  }
+
+  // Hide slashes inside the remaining brackets, e.g. "(I CAN'T GET NO/WON'T) SATISFACTION"
+  const masked = bare.replace(/[([{][^()[\]{}]*[)\]}]/g, bracket => bracket.replace(/\//g, '\u0000'));
+  const parts = masked.split(MULTI_TITLE_SEPARATOR).map(part => part.replace(/\u0000/g, '/').trim());
+
+  // Only split when every part looks like a song title
+  if (parts.length < 2 || parts.some(part => (part.match(/\p{L}/gu) || []).length < 2)) {
+    return [title];
+  }
+
+  return parts;
+}
+
+/**
+ * Normalize a chart entry and, for tracks, split double A-sides and other multi-title
+ * entries into a subTracks array with one linked item per song, all sharing the entry's
+ * position; the entry's own search query is the first song's. Scraped, template and
+ * imported charts all parse their entries with this.
+ * @param {Object} entry - Raw entry with position, title and artist, and optionally chart stats
+ * @param {string} entryType - 'track' or 'album'
+ * @returns {Object} Chart item, see normalizeChartEntry
+ */
+export function parseChartEntry(entry, entryType = 'track') {
+  const item = normalizeChartEntry(entry, entryType);
+  if (entryType === 'album') return item;
+
+  const titles = splitMultiTitle(entry.title);
+  if (titles.length > 1) {
+    item.subTracks = titles.map((title, index) => ({
+      ...normalizeChartEntry({ ...entry, title }, entryType),
+      part: index + 1
+    }));
+    item.title = item.subTracks.map(subTrack => subTrack.title).join(' / ');
+    item.searchQuery = item.subTracks[0].searchQuery;
+  }
+
+  return item;
+}
+
+/**
+ * Normalize a scraped chart entry
+ * @param {Object} entry - Raw entry with position, title and artist, and optionally chart stats
+ * @param {string} entryType - 'track' or 'album'
+ * @returns {Object} Chart item with title-cased title and artist, lead and featured artist arrays,
+ *   removed annotations, chart stats and a search query
+ */
+export function normalizeChartEntry(entry, entryType = 'track') {
+  const stripped = stripAnnotations(entry.title);
+  const artists = splitArtists(entry.artist);
+
+  const leadArtists = artists.leadArtists.map(toTitleCase);
+  // Featured artists can be credited in both the artist and the title; keep each one once
+  const featuredArtists = [...artists.featuredArtists, ...stripped.featuredArtists]
+    .map(toTitleCase)
+    .filter((name, index, names) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+
+  const normalized = {
+    position: entry.position,
+    title: toTitleCase(stripped.title),
+    artist: toTitleCase(entry.artist).replace(/\s(?:ft|feat|featuring)\.?\s/gi, ' ft. '),
+    leadArtists,
+    featuredArtists,
+    annotations: stripped.annotations,
+    ...normalizeChartStats(entry),
+    entryType
+  };
+
+  normalized.searchQuery = buildSearchQuery(normalized, entryType);
+  return normalized;
+}
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+
+/**
+ * Parsing of uploaded chart files.
+ *
+ * Charts from elsewhere (radio countdowns, internal lists) can be uploaded as CSV
+ * or JSON with position, title and artist columns instead of being scraped. Rows
+ * are validated and returned as raw entries, which then go through the same entry
+ * parser as scraped charts (parseChartEntry), including the double A-side split.
+ */
+
+// Source ID used for imported charts in requests
+export const IMPORTED_CHART_SOURCE = 'upload';
+
+// Upper limit on entries in an uploaded chart
+export const MAX_IMPORTED_ENTRIES = 500;
+
+// Accepted column names (compared case-insensitively)
+const COLUMN_ALIASES = {
+  position: ['position', 'pos', 'rank', 'number', 'no', 'no.', '#'],
+  title: ['title', 'song', 'track', 'album', 'name'],
+  artist: ['artist', 'artists', 'performer', 'by']
+};
+
+// Only the first few problems are reported, so a broken file doesn't produce a huge error
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Guess whether a file is CSV or JSON
+ * @param {string} content - File content
+ * @param {string} filename - File name, if known
+ * @returns {string} 'csv' or 'json'
+ */
+export function detectFormat(content, filename = '') {
+  if (/\.json$/i.test(filename)) return 'json';
+  if (/\.(csv|tsv|txt)$/i.test(filename)) return 'csv';
+  return /^\s*[[{]/.test(content) ? 'json' : 'csv';
+}
+
+/**
+ * Split CSV content into rows of fields. Handles quoted fields (with "" escapes and
+ * line breaks), CRLF line endings, and comma, semicolon or tab delimiters (whichever
+ * appears most in the first line).
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows of trimmed fields, without blank rows
+ */
+export function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Find which column holds each field
+ * @param {Array<string>} names - Column names
+ * @returns {{position: number, title: number, artist: number}} Column indexes, -1 when missing
+ */
+function findColumns(names) {
+  const normalized = names.map(name => String(name).trim().toLowerCase());
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    columns[field] = normalized.findIndex(name => aliases.includes(name));
+  });
+
+  return columns;
+}
+
+/**
+ * Turn parsed records into validated raw chart entries
+ * @param {Array<{line: number, position: *, title: *, artist: *}>} records - Records with the line or item number they came from
+ * @param {boolean} hasPositions - Whether the file has a position column
+ * @returns {{entries: Array, warnings: Array<string>}} Raw entries sorted by position, plus warnings
+ */
+function validateRecords(records, hasPositions) {
+  const errors = [];
+  const warnings = [];
+  const entries = [];
+  const seenPositions = new Set();
+
+  if (records.length === 0) {
+    errors.push('The file has no chart entries');
+  } else if (records.length > MAX_IMPORTED_ENTRIES) {
+    errors.push(`The file has ${records.length} entries; at most ${MAX_IMPORTED_ENTRIES} can be imported`);
+  }
+
+  if (!hasPositions) {
+    warnings.push('No position column, so entries are numbered in file order');
+  }
+
+  records.forEach((record, index) => {
+    const title = String(record.title ?? '').trim();
+    const artist = String(record.artist ?? '').trim();
+    const rawPosition = hasPositions ? String(record.position ?? '').trim() : String(index + 1);
+    const position = /^\d+$/.test(rawPosition) ? parseInt(rawPosition) : NaN;
+
+    if (!title || !artist) {
+      errors.push(`${record.line}: missing ${!title ? 'title' : 'artist'}`);
+      return;
+    }
+
+    if (!(position > 0)) {
+      errors.push(`${record.line}: invalid position "${rawPosition}"`);
+      return;
+    }
+
+    if (seenPositions.has(position)) {
+      errors.push(`${record.line}: position ${position} appears more than once`);
+      return;
+    }
+
+    seenPositions.add(position);
+    entries.push({ position, title, artist });
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`${errors.length} problem${errors.length === 1 ? '' : 's'} found in the chart file`);
+    error.errors = errors.slice(0, MAX_REPORTED_ERRORS);
+    throw error;
+  }
+
+  return {
+    entries: entries.sort((a, b) => a.position - b.position),
+    warnings
+  };
+}
+
+/**
+ * Read records from CSV content with a header row
+ * @param {string} content - CSV content
+ * @returns {{records: Array, hasPositions: boolean}} Records and whether positions were given
+ */
+function readCsvRecords(content) {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = findColumns(header);
+
+  if (columns.title === -1 || columns.artist === -1) {
+    const error = new Error('The CSV header must name title and artist columns');
+    error.errors = [`Found columns: ${header.join(', ') || 'none'}`];
+    throw error;
+  }
+
+  return {
+    hasPositions: columns.position !== -1,
+    records: rows.map((fields, index) => ({
+      line: `Line ${index + 2}`,
+      position: fields[columns.position],
+      title: fields[columns.title],
+      artist: fields[columns.artist]
+    }))
+  };
+}
+
+/**
+ * Read records from JSON content: an array of entries, or an object with a
+ * `tracks` or `entries` array
+ * @param {string} content - JSON content
+ * @returns {{records: Array, hasPositions: boolean}} Records and whether positions were given
+ */
+function readJsonRecords(content) {
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (parseError) {
+    const error = new Error('The file is not valid JSON');
+    error.errors = [parseError.message];
+    throw error;
+  }
+
+  const items = Array.isArray(data) ? data : (data?.tracks || data?.entries);
+  if (!Array.isArray(items)) {
+    throw new Error('JSON charts must be an array of entries, or an object with a "tracks" or "entries" array');
+  }
+
+  const records = items.map((item, index) => {
+    const keys = item && typeof item === 'object' ? Object.keys(item) : [];
+    const columns = findColumns(keys);
+    const value = (column) => column === -1 ? undefined : item[keys[column]];
+
+    return {
+      line: `Entry ${index + 1}`,
+      position: value(columns.position),
+      title: value(columns.title),
+      artist: value(columns.artist),
+      hasPosition: columns.position !== -1
+    };
+  });
+
+  return {
+    records,
+    hasPositions: records.some(record => record.hasPosition)
+  };
+}
+
+/**
+ * Parse and validate an uploaded chart file
+ * @param {string} content - File content
+ * @param {Object} options - Parse options
+ * @param {string} options.filename - File name, used to detect the format
+ * @param {string} options.format - 'csv' or 'json'; detected when omitted
+ * @returns {{entries: Array, format: string, checksum: string, warnings: Array<string>}}
+ *   Raw entries with position, title and artist, the format read, a checksum identifying the content, and warnings
+ * @throws {Error} When the file can't be read or has invalid rows; `error.errors` lists the problems
+ */
+export function parseChartFile(content, { filename, format } = {}) {
+  const resolvedFormat = format || detectFormat(content, filename);
+  if (!['csv', 'json'].includes(resolvedFormat)) {
+    throw new Error('Chart files must be CSV or JSON');
+  }
+
+  const { records, hasPositions } = resolvedFormat === 'json' ? readJsonRecords(content) : readCsvRecords(content);
+  const { entries, warnings } = validateRecords(records, hasPositions);
+
+  return {
+    entries,
+    format: resolvedFormat,
+    checksum: crypto.createHash('sha1').update(content).digest('hex').slice(0, 12),
+    warnings
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Base class for the websites charts can be loaded from.
+ *
+ * A chart source knows its own chart types (each with id, name, chartName,
+ * playlistPrefix, parser and firstYear, like the Official Charts registry in
+ * chartTypes.js), how to scrape them, and how playlists built from them should be
+ * described. Scrapes resolve to `{tracks, report}`, with tracks normalized by
+ * normalizeChartEntry and a report in the shape LiveChartScraper.scrapeChartUrl
+ * documents, so the chart cache and routes can treat every source the same way.
+ *
+ * Subclasses must implement getChartTypes and getYearChartData, and may add weekly
+ * charts by overriding supportsWeekly, isValidChartDate, resolveChartWeek and
+ * getWeeklyChartData.
+ */
+export class ChartSource {
+  /**
+   * @param {Object} options - Source details
+   * @param {string} options.id - Source ID used in requests and cache keys
+   * @param {string} options.name - Display name, e.g. "Billboard"
+   * @param {string} options.country - ISO country code of the chart, e.g. "US"
+   * @param {string} options.cacheId - ID for cache keys when several configurations share an ID (default: id)
+   * @param {boolean} options.cacheable - Whether the chart cache may store this source's charts (default: true)
+   */
+  constructor({ id, name, country, cacheId, cacheable = true }) {
+    this.id = id;
+    this.name = name;
+    this.country = country;
+    this.cacheId = cacheId || id;
+    this.cacheable = cacheable;
+  }
+
+  /**
+   * Get the chart types this source provides
+   * @returns {Array<Object>} Chart type definitions
+   */
+  getChartTypes() {
+    throw new Error(`${this.name} does not list any chart types`);
+  }
+
+  /**
+   * Get the ID of the chart type used when a request doesn't name one
+   * @returns {string} Chart type ID
+   */
+  getDefaultChartType() {
+    return this.getChartTypes()[0].id;
+  }
+
+  /**
+   * Look up one of this source's chart types
+   * @param {string} chartTypeId - Chart type ID (defaults to the source's first chart type)
+   * @returns {Object} Chart type definition
+   */
+  getChartType(chartTypeId) {
+    const chartTypes = this.getChartTypes();
+    const chartType = chartTypes.find(type => type.id === (chartTypeId || this.getDefaultChartType()));
+    if (!chartType) {
+      throw new Error(`Unknown ${this.name} chart type "${chartTypeId}". Supported chart types: ${chartTypes.map(type => type.id).join(', ')}`);
+    }
+    return chartType;
+  }
+
+  /**
+   * Check whether this source has a chart type
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {boolean} Whether the chart type exists
+   */
+  isValidChartType(chartTypeId) {
+    const id = chartTypeId || this.getDefaultChartType();
+    return this.getChartTypes().some(type => type.id === id);
+  }
+
+  /**
+   * Get end-of-year chart data
+   * @param {number} year - Chart year
+   * @param {number} limit - Number of entries to scrape
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<{tracks: Array, report: Object}>} Chart entries and the scrape report
+   */
+  async getYearChartData(year, limit, chartTypeId) {
+    throw new Error(`${this.name} does not provide end-of-year charts`);
+  }
+
+  /**
+   * Get the years an end-of-year chart can be requested for
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<Array<number>>} Years, most recent first
+   */
+  async getAvailableYears(chartTypeId) {
+    const chartType = this.getChartType(chartTypeId);
+    const years = [];
+
+    for (let year = new Date().getFullYear(); year >= chartType.firstYear; year--) {
+      years.push(year);
+    }
+
+    return years;
+  }
+
+  /**
+   * Validate if a year is available for scraping
+   * @param {number} year - Year to validate
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {boolean} Whether the year is valid
+   */
+  isValidYear(year, chartTypeId) {
+    const currentYear = new Date().getFullYear();
+    return this.isValidChartType(chartTypeId) && year >= this.getChartType(chartTypeId).firstYear && year <= currentYear;
+  }
+
+  /**
+   * Whether this source has weekly charts
+   * @returns {boolean} Whether weekly charts can be requested
+   */
+  supportsWeekly() {
+    return false;
+  }
+
+  /**
+   * Validate if a date has a weekly chart
+   * @param {string|Date} date - Date to validate
+   * @returns {boolean} Whether a weekly chart exists for the date
+   */
+  isValidChartDate(date) {
+    return false;
+  }
+
+  /**
+   * Find the chart week containing a date
+   * @param {string|Date} date - Any date within the chart week
+   * @returns {{start: string, end: string, chartDate: string}} Chart week
+   */
+  resolveChartWeek(date) {
+    throw new Error(`${this.name} does not provide weekly charts`);
+  }
+
+  /**
+   * Get weekly chart data
+   * @param {string|Date} date - Any date within the chart week
+   * @param {number} limit - Number of entries to scrape
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<{tracks: Array, report: Object}>} Chart entries and the scrape report
+   */
+  async getWeeklyChartData(date, limit, chartTypeId) {
+    throw new Error(`${this.name} does not provide weekly charts`);
+  }
+
+  /**
+   * Describe a chart in the description of playlists built from it
+   * @param {Object} chartType - Chart type definition
+   * @param {Object} period - Chart period
+   * @param {number} period.year - Chart year, for end-of-year charts
+   * @param {Object} period.week - Chart week from resolveChartWeek, for weekly charts
+   * @returns {string} Playlist description
+   */
+  describeChart(chartType, { year, week } = {}) {
+    return week ?
+      `${this.name} ${chartType.chartName} for the week of ${week.start} to ${week.end} - Created automatically` :
+      `${this.name} Year-End ${chartType.chartName} for ${year} - Created automatically`;
+  }
+
+  /**
+   * Summarize the source for API responses
+   * @returns {Object} Source ID, name, country, weekly support and chart types
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      country: this.country,
+      supportsWeekly: this.supportsWeekly(),
+      chartTypes: this.getChartTypes().map(chartType => ({
+        id: chartType.id,
+        name: chartType.name,
+        chartName: chartType.chartName,
+        playlistPrefix: chartType.playlistPrefix,
+        entryType: chartType.parser,
+        firstYear: chartType.firstYear
+      }))
+    };
+  }
+
+  /**
+   * Check scraped entries for gaps, repeats and unusable entries
+   * @param {Array} entries - Raw scraped entries with position, title and artist
+   * @param {number} limit - Number of positions expected
+   * @param {Object} options - Check options
+   * @param {boolean} options.allowShortChart - Only expect positions up to the last one found, for charts shorter than the limit
+   * @returns {{entries: Array, chartLength: number, missingPositions: Array<number>, duplicatePositions: Array<number>, warnings: Array<string>}}
+   *   Usable entries sorted by position (first of any repeated position kept), the number of places expected, plus what was wrong
+   */
+  checkChartEntries(entries, limit, { allowShortChart = false } = {}) {
+    const warnings = [];
+    const byPosition = new Map();
+    const duplicatePositions = new Set();
+
+    for (const entry of entries) {
+      const position = parseInt(entry.position);
+
+      if (!Number.isInteger(position) || position < 1) {
+        warnings.push(`Skipped entry with invalid position "${entry.position}": ${entry.title} - ${entry.artist}`);
+        continue;
+      }
+
+      if (position > limit) continue;
+
+      if (!entry.title?.trim() || !entry.artist?.trim()) {
+        warnings.push(`Skipped position ${position}: missing ${!entry.title?.trim() ? 'title' : 'artist'}`);
+        continue;
+      }
+
+      if (byPosition.has(position)) {
+        duplicatePositions.add(position);
+        warnings.push(`Position ${position} appears more than once, keeping "${byPosition.get(position).title}" over "${entry.title}"`);
+        continue;
+      }
+
+      byPosition.set(position, { ...entry, position });
+    }
+
+    // Historic charts can legitimately end early, so only gaps before the last entry count as missing
+    let chartLength = limit;
+    if (allowShortChart && byPosition.size > 0) {
+      chartLength = Math.max(...byPosition.keys());
+      if (chartLength < limit) {
+        warnings.push(`Chart has ${chartLength} places, fewer than the ${limit} requested`);
+      }
+    }
+
+    const missingPositions = [];
+    for (let i = 1; i <= chartLength; i++) {
+      if (!byPosition.has(i)) {
+        missingPositions.push(i);
+      }
+    }
+
+    return {
+      entries: [...byPosition.values()].sort((a, b) => a.position - b.position),
+      chartLength,
+      missingPositions,
+      duplicatePositions: [...duplicatePositions].sort((a, b) => a - b),
+      warnings
+    };
+  }
+}
@@ -0,0 +1,195 @@
+import { TemplateChartSource } from './templateChartSource.js';
+import { assertPublicHost } from './urlGuard.js';
+
+/**
+ * Registry of the chart sources playlists can be built from.
+ *
+ * Official Charts (UK) is served by LiveChartScraper; the other sources are
+ * TemplateChartSource configurations. Their URL templates and selectors follow
+ * each site's end-of-year chart markup and need updating when a site is redesigned.
+ */
+export const DEFAULT_CHART_SOURCE = 'official-charts';
+
+// Source ID for charts read from a user-supplied URL template
+export const CUSTOM_CHART_SOURCE = 'custom';
+
+export const TEMPLATE_SOURCES = {
+  billboard: {
+    id: 'billboard',
+    name: 'Billboard',
+    country: 'US',
+    chartTypes: [
+      {
+        id: 'hot-100',
+        name: 'Hot 100',
+        chartName: 'Hot 100 Songs',
+        playlistPrefix: 'Billboard Year-End Hot 100',
+        parser: 'track',
+        firstYear: 2006,
+        yearUrlTemplate: 'https://www.billboard.com/charts/year-end/{year}/hot-100-songs/',
+        selectors: {
+          item: '.o-chart-results-list-row-container',
+          position: '.o-chart-results-list__item > span.c-label',
+          title: 'h3#title-of-a-story',
+          artist: 'h3#title-of-a-story + span.c-label'
+        }
+      },
+      {
+        id: 'billboard-200',
+        name: 'Billboard 200',
+        chartName: 'Billboard 200 Albums',
+        playlistPrefix: 'Billboard Year-End 200',
+        parser: 'album',
+        firstYear: 2006,
+        yearUrlTemplate: 'https://www.billboard.com/charts/year-end/{year}/top-billboard-200-albums/',
+        selectors: {
+          item: '.o-chart-results-list-row-container',
+          position: '.o-chart-results-list__item > span.c-label',
+          title: 'h3#title-of-a-story',
+          artist: 'h3#title-of-a-story + span.c-label'
+        }
+      }
+    ]
+  },
+  aria: {
+    id: 'aria',
+    name: 'ARIA',
+    country: 'AU',
+    chartTypes: [
+      {
+        id: 'singles',
+        name: 'Singles',
+        chartName: 'Singles Chart',
+        playlistPrefix: 'ARIA Top 100',
+        parser: 'track',
+        firstYear: 2010,
+        yearUrlTemplate: 'https://www.aria.com.au/annual-charts/{year}/singles-chart',
+        selectors: {
+          item: '.c-chart-item',
+          position: '.c-chart-item_pos',
+          title: '.c-chart-item_title',
+          artist: '.c-chart-item_artist'
+        }
+      },
+      {
+        id: 'albums',
+        name: 'Albums',
+        chartName: 'Albums Chart',
+        playlistPrefix: 'ARIA Top 100 Albums',
+        parser: 'album',
+        firstYear: 2010,
+        yearUrlTemplate: 'https://www.aria.com.au/annual-charts/{year}/albums-chart',
+        selectors: {
+          item: '.c-chart-item',
+          position: '.c-chart-item_pos',
+          title: '.c-chart-item_title',
+          artist: '.c-chart-item_artist'
+        }
+      }
+    ]
+  },
+  irish: {
+    id: 'irish',
+    name: 'Irish Charts',
+    country: 'IE',
+    chartTypes: [
+      {
+        id: 'singles',
+        name: 'Singles',
+        chartName: 'Singles Chart',
+        playlistPrefix: 'Irish Top 100',
+        parser: 'track',
+        firstYear: 2000,
+        yearUrlTemplate: 'https://irish-charts.com/year.asp?key={year}&cat=s',
+        selectors: {
+          item: 'table.charts tr',
+          position: 'td:nth-child(1)',
+          title: 'td:nth-child(3) a',
+          artist: 'td:nth-child(2) a'
+        }
+      }
+    ]
+  }
+};
+
+// Selectors for custom sources: a table with position, title and artist columns
+const DEFAULT_CUSTOM_SELECTORS = {
+  item: 'table tr',
+  position: 'td:nth-child(1)',
+  title: 'td:nth-child(2)',
+  artist: 'td:nth-child(3)'
+};
+
+/**
+ * Create every registered chart source
+ * @param {LiveChartScraper} officialCharts - The Official Charts scraper
+ * @returns {Map<string, ChartSource>} Chart sources by ID
+ */
+export function createChartSources(officialCharts) {
+  const sources = new Map([[officialCharts.id, officialCharts]]);
+
+  Object.values(TEMPLATE_SOURCES).forEach(config => {
+    sources.set(config.id, new TemplateChartSource(config));
+  });
+
+  return sources;
+}
+
+/**
+ * Create a chart source from a user-supplied URL template
+ * @param {Object} options - Custom source options
+ * @param {string} options.urlTemplate - Chart page URL with a {year} placeholder
+ * @param {string} options.entryType - 'track' or 'album' (default: track)
+ * @param {string} options.itemSelector - Selector matching one element per entry
+ * @param {string} options.positionSelector - Selector for the position inside an entry
+ * @param {string} options.titleSelector - Selector for the title inside an entry
+ * @param {string} options.artistSelector - Selector for the artist inside an entry
+ * @returns {TemplateChartSource} Chart source with a single "custom" chart type
+ */
+export function createCustomChartSource({ urlTemplate, entryType = 'track', itemSelector, positionSelector, titleSelector, artistSelector }) {
+  let url;
+  try {
+    url = new URL(urlTemplate);
+  } catch (error) {
+    throw new Error('URL template must be a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !urlTemplate.includes('{year}')) {
+    throw new Error('URL template must be an http(s) URL containing {year}');
+  }
+
+  // Host names are also checked when the page is fetched, see urlGuard.js
+  assertPublicHost(url);
+
+  if (!['track', 'album'].includes(entryType)) {
+    throw new Error('Entry type must be track or album');
+  }
+
+  const selectors = {
+    item: itemSelector || DEFAULT_CUSTOM_SELECTORS.item,
+    position: positionSelector || DEFAULT_CUSTOM_SELECTORS.position,
+    title: titleSelector || DEFAULT_CUSTOM_SELECTORS.title,
+    artist: artistSelector || DEFAULT_CUSTOM_SELECTORS.artist
+  };
+
+  return new TemplateChartSource({
+    id: CUSTOM_CHART_SOURCE,
+    name: url.hostname,
+    country: null,
+    // Anyone logged in can make up templates, so their charts are never cached
+    cacheable: false,
+    publicOnly: true,
+    chartTypes: [
+      {
+        id: 'custom',
+        name: 'Custom',
+        chartName: 'Chart',
+        playlistPrefix: `${url.hostname} Chart`,
+        parser: entryType,
+        firstYear: 1950,
+        yearUrlTemplate: urlTemplate,
+        selectors
+      }
+    ]
+  });
+}
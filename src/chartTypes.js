@@ -0,0 +1,190 @@
+/**
+ * Registry of the Official Charts chart types we can build playlists from.
+ *
+ * Each chart type describes how to find its pages on officialcharts.com and
+ * which parser turns its entries into searchable chart items:
+ * - endOfYearSlug / endOfYearChartId: end-of-year chart URLs, e.g.
+ *   /charts/end-of-year-singles-chart/20240101/37501/
+ * - weeklySlug / weeklyChartId: weekly chart URLs, e.g. /charts/singles-chart/20240105/7501/
+ * - firstYear: earliest end-of-year chart in the Official Charts archive
+ * - shortChartsBefore: end-of-year charts before this year can be shorter than a
+ *   Top 100 (historic charts ran to as few as 10 or 20 places), or null if every
+ *   chart is full length
+ * - knownYearPaths: end-of-year URL paths that don't follow any pattern; other
+ *   years are discovered from the archive pages
+ * - parser: 'track' for singles charts, 'album' for album charts
+ */
+export const CHART_TYPES = {
+  singles: {
+    id: 'singles',
+    name: 'Singles',
+    chartName: 'Singles Chart',
+    playlistPrefix: 'UK Top 100',
+    endOfYearSlug: 'end-of-year-singles-chart',
+    endOfYearChartId: '37501',
+    weeklySlug: 'singles-chart',
+    weeklyChartId: '7501',
+    parser: 'track',
+    firstYear: 1952,
+    shortChartsBefore: 2000,
+    knownYearPaths: {
+      2024: '20240101/37501/',
+      2023: '20220101/37501/',
+      2022: '20210101/37501/',
+      2021: '20200101/37501-0/',
+      2020: '20200101/37501/',
+      2019: '20190101/37501/',
+      2018: '20180101/37501/',
+      2017: '20160101/37501/',
+      2016: '20160108/37501/',
+      2015: '20150104/37501/',
+      2014: '20140105/37501/',
+      2013: '20130106/37501/',
+      2012: '20120108/37501/',
+      2011: '20110109/37501/',
+      2010: '20100110/37501/',
+      2009: '20090104/37501/',
+      2008: '20080106/37501/',
+      2007: '20070107/37501/',
+      2006: '20060108/37501/',
+      2005: '20050103/37501/',
+      2004: '20040104/37501/'
+    }
+  },
+  albums: {
+    id: 'albums',
+    name: 'Albums',
+    chartName: 'Albums Chart',
+    playlistPrefix: 'UK Top 100 Albums',
+    endOfYearSlug: 'end-of-year-albums-chart',
+    endOfYearChartId: '37502',
+    weeklySlug: 'albums-chart',
+    weeklyChartId: '7502',
+    parser: 'album',
+    firstYear: 1956,
+    shortChartsBefore: 2000,
+    knownYearPaths: {}
+  },
+  streaming: {
+    id: 'streaming',
+    name: 'Audio Streaming',
+    chartName: 'Audio Streaming Chart',
+    playlistPrefix: 'UK Top 100 Streaming',
+    endOfYearSlug: 'end-of-year-audio-streaming-chart',
+    endOfYearChartId: '399',
+    weeklySlug: 'audio-streaming-chart',
+    weeklyChartId: '99',
+    parser: 'track',
+    firstYear: 2014,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  downloads: {
+    id: 'downloads',
+    name: 'Downloads',
+    chartName: 'Singles Downloads Chart',
+    playlistPrefix: 'UK Top 100 Downloads',
+    endOfYearSlug: 'end-of-year-singles-downloads-chart',
+    endOfYearChartId: '36',
+    weeklySlug: 'singles-downloads-chart',
+    weeklyChartId: '6',
+    parser: 'track',
+    firstYear: 2005,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  dance: {
+    id: 'dance',
+    name: 'Dance',
+    chartName: 'Dance Singles Chart',
+    playlistPrefix: 'UK Top Dance',
+    endOfYearSlug: 'end-of-year-dance-singles-chart',
+    endOfYearChartId: '3107',
+    weeklySlug: 'dance-singles-chart',
+    weeklyChartId: '107',
+    parser: 'track',
+    firstYear: 2000,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  rock: {
+    id: 'rock',
+    name: 'Rock & Metal',
+    chartName: 'Rock & Metal Singles Chart',
+    playlistPrefix: 'UK Top Rock & Metal',
+    endOfYearSlug: 'end-of-year-rock-and-metal-singles-chart',
+    endOfYearChartId: '3111',
+    weeklySlug: 'rock-and-metal-singles-chart',
+    weeklyChartId: '111',
+    parser: 'track',
+    firstYear: 2000,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  rnb: {
+    id: 'rnb',
+    name: 'R&B',
+    chartName: 'R&B Singles Chart',
+    playlistPrefix: 'UK Top R&B',
+    endOfYearSlug: 'end-of-year-r-and-b-singles-chart',
+    endOfYearChartId: '3114',
+    weeklySlug: 'r-and-b-singles-chart',
+    weeklyChartId: '114',
+    parser: 'track',
+    firstYear: 2000,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  indie: {
+    id: 'indie',
+    name: 'Independent',
+    chartName: 'Independent Singles Chart',
+    playlistPrefix: 'UK Top Indie',
+    endOfYearSlug: 'end-of-year-independent-singles-chart',
+    endOfYearChartId: '3150',
+    weeklySlug: 'independent-singles-chart',
+    weeklyChartId: '150',
+    parser: 'track',
+    firstYear: 2000,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  },
+  vinyl: {
+    id: 'vinyl',
+    name: 'Vinyl Albums',
+    chartName: 'Vinyl Albums Chart',
+    playlistPrefix: 'UK Top Vinyl Albums',
+    endOfYearSlug: 'end-of-year-vinyl-albums-chart',
+    endOfYearChartId: '3142',
+    weeklySlug: 'vinyl-albums-chart',
+    weeklyChartId: '142',
+    parser: 'album',
+    firstYear: 2015,
+    shortChartsBefore: null,
+    knownYearPaths: {}
+  }
+};
+
+export const DEFAULT_CHART_TYPE = 'singles';
+
+/**
+ * Look up a chart type by ID
+ * @param {string} chartTypeId - Chart type ID (defaults to singles)
+ * @returns {Object} Chart type definition
+ */
+export function getChartType(chartTypeId = DEFAULT_CHART_TYPE) {
+  const chartType = CHART_TYPES[chartTypeId || DEFAULT_CHART_TYPE];
+  if (!chartType) {
+    throw new Error(`Unknown chart type "${chartTypeId}". Supported chart types: ${Object.keys(CHART_TYPES).join(', ')}`);
+  }
+  return chartType;
+}
+
+/**
+ * Check whether a chart type ID is registered
+ * @param {string} chartTypeId - Chart type ID
+ * @returns {boolean} Whether the chart type exists
+ */
+export function isValidChartType(chartTypeId) {
+  return Object.prototype.hasOwnProperty.call(CHART_TYPES, chartTypeId || DEFAULT_CHART_TYPE);
+}
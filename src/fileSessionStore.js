@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import session from 'express-session';
+import { JsonFileStore, DEFAULT_DATA_DIR } from './jsonFileStore.js';
+
+// Session stores that can be picked with SESSION_STORE
+export const SESSION_STORES = ['file', 'memory'];
+
+// Session fields encrypted before they are written to disk
+const DEFAULT_ENCRYPTED_FIELDS = ['spotifyRefreshToken'];
+
+// Prefix marking encrypted values, with a version in case the scheme changes
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Derive the 256-bit key used to encrypt session fields
+ * @param {string} secret - Encryption secret
+ * @returns {Buffer} AES key
+ */
+function deriveKey(secret) {
+  return crypto.scryptSync(secret, 'uk-charts-session-store', 32);
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {string} value - Value to encrypt
+ * @param {Buffer} key - AES key
+ * @returns {string} Encrypted value with its IV and auth tag
+ */
+export function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+}
+
+/**
+ * Decrypt a value from encryptValue
+ * @param {string} value - Encrypted value
+ * @param {Buffer} key - AES key
+ * @returns {string} Decrypted value
+ * @throws {Error} When the value was encrypted with another key or has been tampered with
+ */
+export function decryptValue(value, key) {
+  const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * express-session store that keeps sessions in a JSON file, so logins survive
+ * server restarts.
+ *
+ * Sessions are held in memory and written to `data/sessions.json`; sensitive
+ * fields (the Spotify refresh token by default) are encrypted before they are
+ * written. Expired sessions are removed every `cleanupIntervalMs`.
+ */
+export class FileSessionStore extends session.Store {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.secret - Secret the encryption key is derived from
+   * @param {string} options.dataDir - Directory for the sessions file
+   * @param {Array<string>} options.encryptedFields - Session fields to encrypt at rest
+   * @param {number} options.cleanupIntervalMs - How often expired sessions are removed
+   * @param {number} options.defaultTtlMs - Lifetime of sessions whose cookie has no expiry
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.secret) {
+      throw new Error('FileSessionStore needs a secret to encrypt sessions with');
+    }
+
+    this.key = deriveKey(options.secret);
+    this.encryptedFields = options.encryptedFields || DEFAULT_ENCRYPTED_FIELDS;
+    this.defaultTtlMs = options.defaultTtlMs || 24 * 60 * 60 * 1000; // 1 day
+    this.store = new JsonFileStore(
+      path.join(options.dataDir || DEFAULT_DATA_DIR, 'sessions.json'),
+      { sessions: {} }
+    );
+
+    this.cleanupTimer = setInterval(() => {
+      this.removeExpired().catch(error => console.error('❌ Session cleanup failed:', error.message));
+    }, options.cleanupIntervalMs || 15 * 60 * 1000);
+    // Cleanup alone shouldn't keep the process running
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Get when a session expires
+   * @param {Object} sess - Session data
+   * @returns {number} Expiry as a ms timestamp
+   */
+  getExpiry(sess) {
+    const expires = sess.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.defaultTtlMs;
+  }
+
+  /**
+   * Encrypt a session's sensitive fields for storage
+   * @param {Object} sess - Session data
+   * @returns {Object} Copy of the session with sensitive fields encrypted
+   */
+  encryptSession(sess) {
+    const stored = { ...sess };
+    this.encryptedFields.forEach(field => {
+      if (stored[field]) {
+        stored[field] = encryptValue(stored[field], this.key);
+      }
+    });
+    return stored;
+  }
+
+  /**
+   * Decrypt a stored session's sensitive fields
+   * @param {Object} stored - Stored session data
+   * @returns {Object} Session with sensitive fields decrypted (or cleared if they can't be)
+   */
+  decryptSession(stored) {
+    const sess = { ...stored };
+    this.encryptedFields.forEach(field => {
+      if (typeof sess[field] !== 'string' || !sess[field].startsWith(ENCRYPTED_PREFIX)) return;
+
+      try {
+        sess[field] = decryptValue(sess[field], this.key);
+      } catch (error) {
+        // The secret has changed, so the user has to log in again
+        console.warn(`⚠️ Could not decrypt ${field} of a stored session, dropping it`);
+        sess[field] = null;
+      }
+    });
+    return sess;
+  }
+
+  /**
+   * Run a store operation and report the outcome to an express-session callback
+   * @param {Promise} operation - Store operation
+   * @param {Function} callback - Node-style callback (optional)
+   */
+  settle(operation, callback) {
+    operation.then(result => callback?.(null, result), error => callback?.(error));
+  }
+
+  /**
+   * Get a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - Called with the session, or nothing if it doesn't exist or has expired
+   */
+  get(sid, callback) {
+    this.settle((async () => {
+      const data = await this.store.load();
+      const entry = data.sessions[sid];
+
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        delete data.sessions[sid];
+        await this.store.save();
+        return null;
+      }
+
+      return this.decryptSession(entry.session);
+    })(), callback);
+  }
+
+  /**
+   * Store a session
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - Called once the session has been written
+   */
+  set(sid, sess, callback) {
+    this.settle((async () => {
+      const data = await this.store.load();
+      data.sessions[sid] = {
+        session: this.encryptSession(sess),
+        expiresAt: this.getExpiry(sess)
+      };
+      await this.store.save();
+    })(), callback);
+  }
+
+  /**
+   * Extend a session's expiry without changing its data
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data with the new cookie expiry
+   * @param {Function} callback - Called once done
+   */
+  touch(sid, sess, callback) {
+    this.settle((async () => {
+      const data = await this.store.load();
+      const entry = data.sessions[sid];
+      if (!entry) return;
+
+      // Touches happen on every request, so only write when the expiry has moved noticeably
+      const expiresAt = this.getExpiry(sess);
+      const changed = expiresAt - entry.expiresAt > 60 * 60 * 1000;
+      entry.expiresAt = expiresAt;
+      entry.session.cookie = sess.cookie;
+
+      if (changed) {
+        await this.store.save();
+      }
+    })(), callback);
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - Called once the session has been removed
+   */
+  destroy(sid, callback) {
+    this.settle((async () => {
+      const data = await this.store.load();
+      if (data.sessions[sid]) {
+        delete data.sessions[sid];
+        await this.store.save();
+      }
+    })(), callback);
+  }
+
+  /**
+   * Count the stored sessions
+   * @param {Function} callback - Called with the number of sessions
+   */
+  length(callback) {
+    this.settle(this.store.load().then(data => Object.keys(data.sessions).length), callback);
+  }
+
+  /**
+   * Delete every session
+   * @param {Function} callback - Called once all sessions have been removed
+   */
+  clear(callback) {
+    this.settle((async () => {
+      const data = await this.store.load();
+      data.sessions = {};
+      await this.store.save();
+    })(), callback);
+  }
+
+  /**
+   * Remove sessions that have expired
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async removeExpired() {
+    const data = await this.store.load();
+    const now = Date.now();
+    const expired = Object.keys(data.sessions).filter(sid => data.sessions[sid].expiresAt <= now);
+
+    expired.forEach(sid => delete data.sessions[sid]);
+
+    if (expired.length > 0) {
+      await this.store.save();
+      console.log(`🧹 Removed ${expired.length} expired session${expired.length === 1 ? '' : 's'}`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Stop the cleanup timer and write any pending changes
+   * @returns {Promise<void>} Resolves once the sessions file is up to date
+   */
+  async close() {
+    clearInterval(this.cleanupTimer);
+    if (this.store.data) {
+      await this.store.save();
+    }
+  }
+}
+
+/**
+ * Read the random session key kept in `data/session.key`, generating it the first
+ * time. Used when neither SESSION_SECRET nor SESSION_ENCRYPTION_KEY is set, so
+ * sessions are never signed or encrypted with a key anyone can look up.
+ * @param {string} dataDir - Directory for the key file
+ * @returns {string} Session key
+ */
+export function loadOrCreateSessionKey(dataDir = DEFAULT_DATA_DIR) {
+  const keyPath = path.join(dataDir, 'session.key');
+
+  try {
+    return fs.readFileSync(keyPath, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(dataDir, { recursive: true });
+  // Only the server's user may read the key; 'wx' fails rather than replace a key written meanwhile
+  fs.writeFileSync(keyPath, key, { mode: 0o600, flag: 'wx' });
+  console.log(`🔑 Generated a session key in ${keyPath}`);
+  return key;
+}
+
+/**
+ * Create the session store named by SESSION_STORE
+ * @param {string} type - 'file' (default) or 'memory'
+ * @param {Object} options - Options for the store, see FileSessionStore
+ * @returns {session.Store} Session store
+ */
+export function createSessionStore(type = 'file', options = {}) {
+  if (!SESSION_STORES.includes(type)) {
+    throw new Error(`Unknown session store "${type}". Supported stores: ${SESSION_STORES.join(', ')}`);
+  }
+
+  // The memory store loses every login on restart; it's only meant for development
+  return type === 'memory' ? new session.MemoryStore() : new FileSessionStore(options);
+}
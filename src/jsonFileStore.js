@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Default directory for data that should survive server restarts
+ */
+export const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Stores can hold access tokens (sessions.json), so only the server's user may read them
+const FILE_MODE = 0o600;
+
+export class JsonFileStore {
+  /**
+   * @param {string} filePath - Path of the JSON file backing the store
+   * @param {Object} defaults - Initial data used when the file does not exist yet
+   */
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+    // Set when the file exists but couldn't be read or moved aside, so saving would lose it
+    this.unreadable = false;
+  }
+
+  /**
+   * Load the store from disk (only reads the file once). A file that can't be read
+   * is moved aside to `<file>.unreadable-<timestamp>` before starting empty, so the
+   * next save doesn't overwrite it.
+   * @returns {Promise<Object>} The store data
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          this.data = { ...structuredClone(this.defaults), ...JSON.parse(content) };
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            await this.moveAside(error);
+          }
+          this.data = structuredClone(this.defaults);
+        }
+        return this.data;
+      })();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Move a file that couldn't be read out of the way, or stop the store from
+   * saving over it when that isn't possible
+   * @param {Error} readError - Why the file couldn't be read
+   * @returns {Promise<void>}
+   */
+  async moveAside(readError) {
+    const asidePath = `${this.filePath}.unreadable-${Date.now()}`;
+
+    try {
+      await fs.rename(this.filePath, asidePath);
+      console.warn(`⚠️ Could not read ${this.filePath}, moved it to ${asidePath} and starting empty: ${readError.message}`);
+    } catch (error) {
+      this.unreadable = true;
+      console.error(`❌ Could not read ${this.filePath} or move it aside, so it won't be saved over: ${readError.message}`);
+    }
+  }
+
+  /**
+   * Write the store to disk
+   * @returns {Promise<void>} Resolves once the data has been written
+   */
+  async save() {
+    // Queue writes so concurrent saves never interleave, and write to a temp file
+    // first so a crash mid-write can't leave a truncated file behind
+    this.writeQueue = this.writeQueue.then(async () => {
+      if (this.unreadable) {
+        throw new Error('the existing file could not be read and would be lost');
+      }
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      // A temp file left behind by a crash keeps its mode when overwritten, so set it explicitly
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2), { mode: FILE_MODE });
+      await fs.chmod(tempPath, FILE_MODE);
+      await fs.rename(tempPath, this.filePath);
+    }).catch(error => {
+      console.error(`❌ Failed to save ${this.filePath}:`, error.message);
+    });
+
+    return this.writeQueue;
+  }
+}
@@ -1,270 +1,770 @@
-import puppeteer from 'puppeteer';
 import * as cheerio from 'cheerio';
 import axios from 'axios';
+import path from 'path';
+import { JsonFileStore, DEFAULT_DATA_DIR } from './jsonFileStore.js';
+import { BrowserPool } from './browserPool.js';
+import { CHART_TYPES, getChartType, isValidChartType, DEFAULT_CHART_TYPE } from './chartTypes.js';
+import { ChartSource } from './chartSource.js';
+import { normalizeChartEntry, parseChartEntry } from './chartEntryNormalizer.js';
 
-export class LiveChartScraper {
-  constructor() {
-    this.baseUrl = 'https://www.officialcharts.com/charts/end-of-year-singles-chart';
-    
-    // Hardcoded URL mappings for each year (no consistent pattern)
-    this.yearUrlMap = {
-      2024: '20240101/37501/',
-      2023: '20220101/37501/',
-      2022: '20210101/37501/',
-      2021: '20200101/37501-0/',
-      2020: '20200101/37501/',
-      2019: '20190101/37501/',
-      2018: '20180101/37501/',
-      2017: '20160101/37501/',
-      2016: '20160108/37501/',
-      2015: '20150104/37501/',
-      2014: '20140105/37501/',
-      2013: '20130106/37501/',
-      2012: '20120108/37501/',
-      2011: '20110109/37501/',
-      2010: '20100110/37501/',
-      2009: '20090104/37501/',
-      2008: '20080106/37501/',
-      2007: '20070107/37501/',
-      2006: '20060108/37501/',
-      2005: '20050103/37501/',
-      2004: '20040104/37501/'
+// Chart rows on archive pages that still use the pre-2020 table layout
+const LEGACY_CHART_ROW_SELECTOR = 'table.chart-positions tr, .chart-positions .track';
+
+/**
+ * Chart source for the UK Official Charts (officialcharts.com)
+ */
+export class LiveChartScraper extends ChartSource {
+  constructor(options = {}) {
+    super({ id: 'official-charts', name: 'Official Charts (UK)', country: 'GB' });
+    
+    this.chartsUrl = 'https://www.officialcharts.com/charts';
+    this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    
+    // The first Official Singles Chart was published on 14 November 1952
+    this.firstWeeklyChartDate = new Date(Date.UTC(1952, 10, 14));
+    
+    // Chart weeks ran Sunday to Saturday until July 2015, then moved to Friday to Thursday
+    this.fridayChartsStartDate = new Date(Date.UTC(2015, 6, 10));
+    
+    // Parsers that turn a scraped entry into a searchable chart item, selected by each chart type
+    this.parsers = {
+      track: (entry) => this.parseTrackEntry(entry),
+      album: (entry) => this.parseAlbumEntry(entry)
     };
+    
+    // Discovered end-of-year URL mappings per chart type, plus years that couldn't be
+    // resolved so we don't re-probe them on every request
+    this.urlStore = new JsonFileStore(
+      path.join(options.dataDir || DEFAULT_DATA_DIR, 'chart-urls.json'),
+      { urls: {}, unresolved: {} }
+    );
+    this.unresolvedRetryMs = 24 * 60 * 60 * 1000; // 24 hours
+    this.resolvingYears = new Map();
+    
+    // Archive listings per chart type, re-read as often as the current year's chart is re-scraped,
+    // and the reads in progress
+    this.archiveDiscovery = new Map();
+    this.readingArchives = new Map();
+    this.archiveListingTtlMs = options.archiveListingTtlMs || 6 * 60 * 60 * 1000; // 6 hours
+    
+    // All Puppeteer strategies share one browser instead of launching their own
+    this.browserPool = options.browserPool || new BrowserPool();
+    this.pageTimeoutMs = 30000;
+    this.selectorTimeoutMs = 10000;
+  }
+
+  /**
+   * Build a chart item for a single from a scraped entry. Double A-sides (e.g.
+   * "SOMETHING STUPID/ANOTHER SONG") get a subTracks array, see parseChartEntry.
+   * @param {Object} entry - Scraped entry with position, title and artist
+   * @returns {Object} Normalized chart item with a track search query
+   */
+  parseTrackEntry(entry) {
+    const item = parseChartEntry(entry, 'track');
+    if (item.subTracks) {
+      console.log(`🔀 Split position ${entry.position} into ${item.subTracks.length} songs: ${item.title}`);
+    }
+    return item;
+  }
+
+  /**
+   * Build a chart item for an album from a scraped entry
+   * @param {Object} entry - Scraped entry with position, title and artist
+   * @returns {Object} Normalized chart item with an album search query
+   */
+  parseAlbumEntry(entry) {
+    return normalizeChartEntry(entry, 'album');
+  }
+
+  /**
+   * Get the Official Charts chart types
+   * @returns {Array<Object>} Chart type definitions from the chart type registry
+   */
+  getChartTypes() {
+    return Object.values(CHART_TYPES);
+  }
+
+  /**
+   * Get the ID of the chart type used when a request doesn't name one
+   * @returns {string} Chart type ID
+   */
+  getDefaultChartType() {
+    return DEFAULT_CHART_TYPE;
+  }
+
+  /**
+   * Look up an Official Charts chart type
+   * @param {string} chartTypeId - Chart type ID (defaults to singles)
+   * @returns {Object} Chart type definition
+   */
+  getChartType(chartTypeId = DEFAULT_CHART_TYPE) {
+    return getChartType(chartTypeId);
+  }
+
+  /**
+   * Check whether an Official Charts chart type exists
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {boolean} Whether the chart type exists
+   */
+  isValidChartType(chartTypeId) {
+    return isValidChartType(chartTypeId);
   }
 
   /**
-   * Clean artist name for Spotify search by removing "FT" characters but keeping featured artists
-   * @param {string} artist - Original artist name
-   * @returns {string} - Cleaned artist name for search
+   * Official Charts publishes weekly charts for every chart type
+   * @returns {boolean} Always true
    */
-  cleanArtistForSearch(artist) {
-    return artist.replace(/\s+FT\s+/gi, ' ').trim();
+  supportsWeekly() {
+    return true;
   }
 
   /**
-   * Get the URL for a specific year's end-of-year chart
+   * Describe a chart in the description of playlists built from it
+   * @param {Object} chartType - Chart type definition
+   * @param {Object} period - Chart year or week
+   * @returns {string} Playlist description
+   */
+  describeChart(chartType, { year, week } = {}) {
+    return week ?
+      `UK Official ${chartType.chartName} Top 100 for the week of ${week.start} to ${week.end} - Created automatically` :
+      `UK Official End-of-Year ${chartType.chartName} Top 100 for ${year} - Created automatically`;
+  }
+
+  /**
+   * Get the base URL for a chart type's end-of-year charts
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {string} Base URL without the date/chart ID path
+   */
+  getYearChartBaseUrl(chartTypeId = DEFAULT_CHART_TYPE) {
+    return `${this.chartsUrl}/${getChartType(chartTypeId).endOfYearSlug}`;
+  }
+
+  /**
+   * Get the URL for a specific year's end-of-year chart from the known mappings
    * @param {number} year - The year to get the chart for
+   * @param {string} chartTypeId - Chart type ID
    * @returns {string} URL for the year's chart
    */
-  getYearChartUrl(year) {
-    const urlPath = this.yearUrlMap[year];
+  getYearChartUrl(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    const urlPath = chartType.knownYearPaths[year] || this.urlStore.data?.urls[chartType.id]?.[year];
     if (!urlPath) {
-      throw new Error(`No URL mapping found for year ${year}. Supported years: ${Object.keys(this.yearUrlMap).join(', ')}`);
+      throw new Error(`No URL mapping found for ${chartType.name} year ${year}. Supported years: ${Object.keys(chartType.knownYearPaths).join(', ')}`);
     }
-    return `${this.baseUrl}/${urlPath}`;
+    return `${this.getYearChartBaseUrl(chartType.id)}/${urlPath}`;
   }
 
   /**
-   * Scrape the end-of-year chart for a specific year using live data
-   * @param {number} year - The year to scrape
-   * @param {number} limit - Number of songs to scrape (default: 100)
-   * @returns {Promise<Array>} Array of song objects with title, artist, and position
+   * Resolve the URL for a year's end-of-year chart, discovering and persisting it if it isn't known yet
+   * @param {number} year - The year to get the chart for
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<string>} URL for the year's chart
    */
-  async scrapeYearChart(year, limit = 100) {
-    try {
-      console.log(`🎵 Scraping UK End-of-Year Singles Chart for ${year}...`);
-      
-      const url = this.getYearChartUrl(year);
-      console.log(`📡 URL: ${url}`);
-      
-      // Try multiple approaches
-      let chartData = null;
-      
-      // Approach 1: Try to extract JSON data from the page
-      try {
-        chartData = await this.extractFromJSONData(url, limit);
-        if (chartData && chartData.length > 0) {
-          console.log(`✅ Successfully extracted ${chartData.length} songs from JSON data`);
-          return chartData;
-        }
-      } catch (error) {
-        console.log(`⚠️ JSON extraction failed: ${error.message}`);
+  async resolveYearChartUrl(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const urlPath = await this.resolveYearChartPath(year, chartTypeId);
+    if (!urlPath) {
+      throw new Error(`Could not find the end-of-year ${getChartType(chartTypeId).chartName} URL for ${year}`);
+    }
+    return `${this.getYearChartBaseUrl(chartTypeId)}/${urlPath}`;
+  }
+
+  /**
+   * Resolve the URL path for a year, sharing in-flight lookups between concurrent callers
+   * @param {number} year - The year to resolve
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<string|null>} URL path relative to the chart type's base URL, or null if it couldn't be found
+   */
+  async resolveYearChartPath(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    if (chartType.knownYearPaths[year]) {
+      return chartType.knownYearPaths[year];
+    }
+    
+    const store = await this.urlStore.load();
+    if (store.urls[chartType.id]?.[year]) {
+      return store.urls[chartType.id][year];
+    }
+    
+    // Don't probe the site again for a year that recently failed to resolve
+    const failedAt = store.unresolved[chartType.id]?.[year];
+    if (failedAt && Date.now() - failedAt < this.unresolvedRetryMs) {
+      return null;
+    }
+    
+    const resolvingKey = `${chartType.id}:${year}`;
+    if (!this.resolvingYears.has(resolvingKey)) {
+      const resolving = this.discoverYearChartPath(year, chartType.id)
+        .finally(() => this.resolvingYears.delete(resolvingKey));
+      this.resolvingYears.set(resolvingKey, resolving);
+    }
+    
+    return this.resolvingYears.get(resolvingKey);
+  }
+
+  /**
+   * Find the URL path for a year from the archive pages, falling back to probing likely URLs
+   * @param {number} year - The year to discover
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<string|null>} URL path relative to the chart type's base URL, or null if it couldn't be found
+   */
+  async discoverYearChartPath(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    console.log(`🔎 Discovering end-of-year ${chartType.chartName} URL for ${year}...`);
+    const store = await this.urlStore.load();
+    store.urls[chartType.id] = store.urls[chartType.id] || {};
+    store.unresolved[chartType.id] = store.unresolved[chartType.id] || {};
+    
+    const archiveLinks = await this.discoverArchiveLinks(chartType.id);
+    const candidates = [
+      ...(archiveLinks[year] ? [archiveLinks[year]] : []),
+      ...this.getCandidateYearChartPaths(year, chartType.id)
+    ].filter((candidate, index, self) => self.indexOf(candidate) === index);
+    
+    let inconclusive = false;
+    for (const candidate of candidates) {
+      const verified = await this.verifyYearChartPath(year, candidate, chartType.id);
+      if (verified) {
+        console.log(`✅ Discovered ${year} ${chartType.chartName} at ${candidate}`);
+        store.urls[chartType.id][year] = candidate;
+        delete store.unresolved[chartType.id][year];
+        await this.urlStore.save();
+        return candidate;
       }
-      
-      // Approach 2: Use Puppeteer to scrape the rendered page
+      inconclusive = inconclusive || verified === null;
+    }
+    
+    // Only remember the year as unresolved when every candidate was checked; after
+    // network errors or timeouts it's tried again on the next request
+    if (inconclusive) {
+      console.log(`⚠️ Could not check every ${year} ${chartType.chartName} URL, will try again`);
+      return null;
+    }
+    
+    console.log(`❌ No end-of-year ${chartType.chartName} URL found for ${year}`);
+    store.unresolved[chartType.id][year] = Date.now();
+    await this.urlStore.save();
+    return null;
+  }
+
+  /**
+   * Collect links to a chart type's end-of-year charts from the archive pages, re-reading
+   * them once the listing is older than archiveListingTtlMs. Only a read that found links
+   * is kept, so a failed read is tried again on the next call.
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<Object>} Map of year to URL path
+   */
+  async discoverArchiveLinks(chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    const listing = this.archiveDiscovery.get(chartType.id);
+    
+    if (listing && listing.expiresAt > Date.now()) {
+      return listing.links;
+    }
+    
+    // Concurrent callers share one read
+    if (!this.readingArchives.has(chartType.id)) {
+      const reading = this.readArchiveLinks(chartType.id)
+        .then(links => {
+          if (Object.keys(links).length > 0) {
+            this.archiveDiscovery.set(chartType.id, { links, expiresAt: Date.now() + this.archiveListingTtlMs });
+          } else {
+            this.archiveDiscovery.delete(chartType.id);
+          }
+          return links;
+        }, error => {
+          this.archiveDiscovery.delete(chartType.id);
+          throw error;
+        })
+        .finally(() => this.readingArchives.delete(chartType.id));
+      this.readingArchives.set(chartType.id, reading);
+    }
+    
+    return this.readingArchives.get(chartType.id);
+  }
+
+  /**
+   * Read links to a chart type's end-of-year charts from the archive pages
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<Object>} Map of year to URL path
+   */
+  async readArchiveLinks(chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    const links = {};
+    const linkPattern = new RegExp(`/charts/${chartType.endOfYearSlug}/(\\d{8}/[\\w-]+)/?`);
+    
+    // Pages that link to the end-of-year charts of previous years
+    const archiveUrls = [`${this.getYearChartBaseUrl(chartType.id)}/`, `${this.chartsUrl}/`];
+    
+    for (const archiveUrl of archiveUrls) {
       try {
-        chartData = await this.scrapeWithPuppeteer(url, limit);
-        if (chartData && chartData.length > 0) {
-          console.log(`✅ Successfully scraped ${chartData.length} songs with Puppeteer`);
-          return chartData;
-        }
+        const response = await axios.get(archiveUrl, {
+          headers: { 'User-Agent': this.userAgent },
+          timeout: 30000
+        });
+        
+        const $ = cheerio.load(response.data);
+        
+        // Chart archives list previous years as links or as options in a date picker
+        $('a[href], option[value]').each((index, element) => {
+          const $element = $(element);
+          const link = $element.attr('href') || $element.attr('value') || '';
+          const linkMatch = link.match(linkPattern);
+          const yearMatch = $element.text().match(/\b(19[5-9]\d|20\d{2})\b/);
+          
+          if (linkMatch && yearMatch && !links[yearMatch[1]]) {
+            links[yearMatch[1]] = `${linkMatch[1]}/`;
+          }
+        });
       } catch (error) {
-        console.log(`⚠️ Puppeteer scraping failed: ${error.message}`);
+        console.log(`⚠️ Could not read chart archive ${archiveUrl}: ${error.message}`);
       }
+    }
+    
+    console.log(`🔎 Found ${Object.keys(links).length} end-of-year ${chartType.chartName} links in the archive`);
+    return links;
+  }
+
+  /**
+   * Get likely URL paths for a year, based on the patterns used by the known mappings
+   * @param {number} year - The year to get candidates for
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Array<string>} Candidate URL paths relative to the chart type's base URL
+   */
+  getCandidateYearChartPaths(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartId = getChartType(chartTypeId).endOfYearChartId;
+    const candidates = [`${year}0101/${chartId}/`, `${year - 1}0101/${chartId}/`];
+    
+    // Older charts are dated on the first chart week of the year
+    for (let day = 2; day <= 10; day++) {
+      candidates.push(`${year}01${String(day).padStart(2, '0')}/${chartId}/`);
+    }
+    
+    return candidates;
+  }
+
+  /**
+   * Check that a URL path loads a chart for the expected year
+   * @param {number} year - The year the chart should be for
+   * @param {string} urlPath - URL path relative to the chart type's base URL
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<boolean|null>} Whether the page is that year's chart, or null if it couldn't be fetched
+   */
+  async verifyYearChartPath(year, urlPath, chartTypeId = DEFAULT_CHART_TYPE) {
+    try {
+      const response = await axios.get(`${this.getYearChartBaseUrl(chartTypeId)}/${urlPath}`, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: 30000
+      });
       
-      // Approach 3: Try with Cheerio and axios
-      try {
-        chartData = await this.scrapeWithCheerio(url, limit);
-        if (chartData && chartData.length > 0) {
-          console.log(`✅ Successfully scraped ${chartData.length} songs with Cheerio`);
-          return chartData;
-        }
-      } catch (error) {
-        console.log(`⚠️ Cheerio scraping failed: ${error.message}`);
+      const $ = cheerio.load(response.data);
+      if ($('.chart-item').length === 0 && $(LEGACY_CHART_ROW_SELECTOR).length === 0) {
+        return false;
       }
       
-      throw new Error('All scraping methods failed');
+      // If the headings mention a year it has to be ours; pages without a year in the heading are accepted
+      const heading = `${$('title').text()} ${$('h1').text()}`;
+      const mentionedYears = heading.match(/\b(19[5-9]\d|20\d{2})\b/g) || [];
+      return mentionedYears.length === 0 || mentionedYears.includes(String(year));
+    } catch (error) {
+      // A missing page settles it; other failures (network errors, timeouts, rate limits) don't
+      const status = error.response?.status;
+      return status === 404 || status === 410 ? false : null;
+    }
+  }
+
+  /**
+   * Parse a chart date from user input
+   * @param {string|Date} input - Date as YYYY-MM-DD, YYYYMMDD or a Date object
+   * @returns {Date|null} Date at midnight UTC, or null if the input is not a valid date
+   */
+  parseChartDate(input) {
+    if (input instanceof Date) {
+      return isNaN(input.getTime()) ? null : new Date(Date.UTC(input.getUTCFullYear(), input.getUTCMonth(), input.getUTCDate()));
+    }
+    
+    const match = String(input || '').trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    
+    // Reject dates that rolled over (e.g. 2024-02-31)
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    
+    return date;
+  }
+
+  /**
+   * Format a date as used in Official Charts URLs
+   * @param {Date} date - Date to format
+   * @returns {string} Date formatted as YYYYMMDD
+   */
+  formatChartDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  /**
+   * Resolve any date to the Official Charts week that contains it
+   * @param {string|Date} input - Any date within the chart week
+   * @returns {Object} Chart week with start/end dates and the YYYYMMDD chart date
+   */
+  resolveChartWeek(input) {
+    const date = this.parseChartDate(input);
+    if (!date) {
+      throw new Error(`Invalid chart date "${input}". Expected YYYY-MM-DD.`);
+    }
+    
+    // Charts start on a Friday from July 2015 onwards, on a Sunday before that
+    const weekStartDay = date >= this.fridayChartsStartDate ? 5 : 0;
+    const daysSinceStart = (date.getUTCDay() - weekStartDay + 7) % 7;
+    
+    const start = new Date(date.getTime() - daysSinceStart * 24 * 60 * 60 * 1000);
+    const end = new Date(start.getTime() + 6 * 24 * 60 * 60 * 1000);
+    
+    return {
+      start: start.toISOString().slice(0, 10),
+      end: end.toISOString().slice(0, 10),
+      chartDate: this.formatChartDate(start)
+    };
+  }
+
+  /**
+   * Get the URL for the weekly chart containing a date
+   * @param {string|Date} date - Any date within the chart week
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {string} URL for the week's chart
+   */
+  getWeeklyChartUrl(date, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    const week = this.resolveChartWeek(date);
+    return `${this.chartsUrl}/${chartType.weeklySlug}/${week.chartDate}/${chartType.weeklyChartId}/`;
+  }
+
+  /**
+   * Scrape the end-of-year chart for a specific year using live data
+   * @param {number} year - The year to scrape
+   * @param {number} limit - Number of songs to scrape (default: 100)
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {Promise<{tracks: Array, report: Object}>} Song objects with title, artist and position, plus the scrape report
+   */
+  async scrapeYearChart(year, limit = 100, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    
+    try {
+      console.log(`🎵 Scraping UK End-of-Year ${chartType.chartName} for ${year}...`);
+      
+      const url = await this.resolveYearChartUrl(year, chartType.id);
+      return await this.scrapeChartUrl(url, limit, chartType.id, {
+        allowShortChart: this.isShortChartYear(year, chartType.id)
+      });
       
     } catch (error) {
-      console.error(`❌ Error scraping ${year} UK charts:`, error.message);
+      console.error(`❌ Error scraping ${year} UK ${chartType.chartName}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Extract chart data from JSON embedded in the page
+   * Scrape the weekly chart for the week containing a date
+   * @param {string|Date} date - Any date within the chart week
+   * @param {number} limit - Number of songs to scrape (default: 100)
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {Promise<{tracks: Array, report: Object}>} Song objects with title, artist and position, plus the scrape report
    */
-  async extractFromJSONData(url, limit) {
-    const browser = await puppeteer.launch({ 
-      headless: "new",
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+  async scrapeWeeklyChart(date, limit = 100, chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
     
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    try {
+      const week = this.resolveChartWeek(date);
+      console.log(`🎵 Scraping UK ${chartType.chartName} for week ${week.start} to ${week.end}...`);
+      
+      const url = this.getWeeklyChartUrl(date, chartType.id);
+      return await this.scrapeChartUrl(url, limit, chartType.id);
+      
+    } catch (error) {
+      console.error(`❌ Error scraping weekly UK ${chartType.chartName} for ${date}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Scrape a chart page, trying each scraping approach in turn.
+   * 
+   * Approaches are tried in order until one returns a complete chart; if none do, the
+   * most complete result is used. The report describes every attempt so partial
+   * failures can be diagnosed without reading the server logs:
+   * - strategy: the approach whose entries were returned
+   * - attempts: each approach tried, with its entry count or the reason it failed
+   * - missingPositions / duplicatePositions: gaps and repeats in the winning result
+   * - chartLength: number of places on the chart, which historic charts may have fewer of than the limit
+   * - warnings: problems found while parsing individual entries
+   * @param {string} url - Chart page URL
+   * @param {number} limit - Number of songs to scrape
+   * @param {string} chartTypeId - Chart type ID, which selects the entry parser
+   * @param {Object} options - Scrape options
+   * @param {boolean} options.allowShortChart - Treat a gap-free chart with fewer than `limit` entries as complete
+   * @returns {Promise<{tracks: Array, report: Object}>} Song objects with title, artist and position, plus the scrape report
+   */
+  async scrapeChartUrl(url, limit = 100, chartTypeId = DEFAULT_CHART_TYPE, { allowShortChart = false } = {}) {
+    console.log(`📡 URL: ${url}`);
+    
+    const parseEntry = this.parsers[getChartType(chartTypeId).parser];
+    
+    const strategies = [
+      { name: 'json', label: 'JSON data', scrape: (warnings) => this.extractFromJSONData(url, limit, warnings) },
+      { name: 'puppeteer', label: 'Puppeteer', scrape: (warnings) => this.scrapeWithPuppeteer(url, limit, warnings) },
+      { name: 'cheerio', label: 'Cheerio', scrape: (warnings) => this.scrapeWithCheerio(url, limit, warnings) }
+    ];
     
-    await page.goto(url, { waitUntil: 'networkidle2' });
-    await page.waitForTimeout(3000);
+    const attempts = [];
+    let best = null;
     
-    const chartData = await page.evaluate((limit) => {
+    for (const strategy of strategies) {
+      const warnings = [];
+      
       try {
-        // Look for JSON data in script tags
-        const scripts = document.querySelectorAll('script');
-        for (const script of scripts) {
-          const content = script.textContent;
-          if (content && content.includes('chartItems')) {
-            // Try to extract the chart data
-            const match = content.match(/"chartItems":\s*\[(.*?)\]/s);
-            if (match) {
-              try {
-                const jsonStr = '[' + match[1] + ']';
-                const items = JSON.parse(jsonStr);
+        const chartData = await strategy.scrape(warnings);
+        
+        if (!chartData || chartData.length === 0) {
+          console.log(`⚠️ ${strategy.label} scraping found no entries`);
+          attempts.push({ strategy: strategy.name, success: false, entries: 0, error: 'No entries found', warnings });
+          continue;
+        }
+        
+        const checked = this.checkChartEntries(chartData, limit, { allowShortChart });
+        const attempt = { strategy: strategy.name, success: true, entries: checked.entries.length, warnings: [...warnings, ...checked.warnings] };
+        attempts.push(attempt);
+        console.log(`✅ ${strategy.label} scraping found ${checked.entries.length} entries`);
+        
+        if (!best || checked.entries.length > best.checked.entries.length) {
+          best = { strategy, attempt, checked };
+        }
+        
+        if (checked.missingPositions.length === 0) break;
+        console.log(`⚠️ ${strategy.label} result is missing ${checked.missingPositions.length} positions, trying the next approach`);
+        
+      } catch (error) {
+        console.log(`⚠️ ${strategy.label} scraping failed: ${error.message}`);
+        attempts.push({ strategy: strategy.name, success: false, entries: 0, error: error.message, warnings });
+      }
+    }
+    
+    const report = {
+      url,
+      strategy: best ? best.strategy.name : null,
+      attempts,
+      expected: best ? best.checked.chartLength : limit,
+      chartLength: best ? best.checked.chartLength : null,
+      found: best ? best.checked.entries.length : 0,
+      complete: !!best && best.checked.missingPositions.length === 0,
+      missingPositions: best ? best.checked.missingPositions : [],
+      duplicatePositions: best ? best.checked.duplicatePositions : [],
+      warnings: best ? best.attempt.warnings : []
+    };
+    
+    if (!best) {
+      const error = new Error('All scraping methods failed');
+      error.report = report;
+      throw error;
+    }
+    
+    if (!report.complete) {
+      console.log(`⚠️ Chart incomplete: missing positions ${report.missingPositions.join(', ')}`);
+    }
+    
+    return {
+      tracks: best.checked.entries.map(parseEntry),
+      report
+    };
+  }
+
+  /**
+   * Extract raw chart entries from JSON embedded in the page
+   */
+  async extractFromJSONData(url, limit, warnings = []) {
+    return this.browserPool.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.pageTimeoutMs });
+      
+      // Wait until a script containing the chart data is on the page (or give up and evaluate anyway)
+      await page.waitForFunction(
+        () => Array.from(document.querySelectorAll('script')).some(script => script.textContent.includes('chartItems')),
+        { timeout: this.selectorTimeoutMs }
+      ).catch(() => warnings.push('No chart JSON found on page'));
+      
+      return page.evaluate((limit) => {
+        try {
+          // Look for JSON data in script tags
+          const scripts = document.querySelectorAll('script');
+          for (const script of scripts) {
+            const content = script.textContent;
+            if (content && content.includes('chartItems')) {
+              // Try to extract the chart data
+              const match = content.match(/"chartItems":\s*\[(.*?)\]/s);
+              if (match) {
+                try {
+                  const jsonStr = '[' + match[1] + ']';
+                  const items = JSON.parse(jsonStr);
                 
-                const tracks = [];
-                for (let i = 0; i < Math.min(items.length, limit); i++) {
-                  const item = items[i];
-                  if (item.title && item.artist) {
-                    const cleanArtist = this.cleanArtistForSearch(item.artist.trim());
-                    tracks.push({
-                      position: i + 1,
-                      title: item.title.trim().toUpperCase(),
-                      artist: item.artist.trim().toUpperCase(),
-                      searchQuery: `track:"${item.title.trim()}" artist:"${cleanArtist}"`
-                    });
+                  const tracks = [];
+                  for (let i = 0; i < Math.min(items.length, limit); i++) {
+                    const item = items[i];
+                    if (item.title && item.artist) {
+                      tracks.push({
+                        position: i + 1,
+                        title: item.title,
+                        artist: item.artist,
+                        label: item.label || item.labelName,
+                        peakPosition: item.peakPosition ?? item.peak,
+                        weeksOnChart: item.weeksOnChart ?? item.weeks,
+                        lastWeekPosition: item.lastWeekPosition ?? item.lastWeek,
+                        isNew: item.isNew ?? item.new,
+                        isReEntry: item.isReEntry ?? item.reEntry
+                      });
+                    }
                   }
+                  return tracks;
+                } catch (e) {
+                  console.log('JSON parsing failed:', e);
                 }
-                return tracks;
-              } catch (e) {
-                console.log('JSON parsing failed:', e);
               }
             }
           }
+          return [];
+        } catch (error) {
+          console.log('JSON extraction error:', error);
+          return [];
         }
-        return [];
-      } catch (error) {
-        console.log('JSON extraction error:', error);
-        return [];
-      }
-    }, limit);
-    
-    await browser.close();
-    return chartData;
+      }, limit);
+    }, { userAgent: this.userAgent });
   }
 
   /**
-   * Scrape using Puppeteer with DOM selectors
+   * Scrape raw chart entries using Puppeteer with DOM selectors
    */
-  async scrapeWithPuppeteer(url, limit) {
-    const browser = await puppeteer.launch({ 
-      headless: "new",
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    await page.goto(url, { waitUntil: 'networkidle2' });
-    await page.waitForTimeout(5000);
-    
-    const chartData = await page.evaluate((limit) => {
-      const tracks = [];
+  async scrapeWithPuppeteer(url, limit, warnings = []) {
+    return this.browserPool.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.pageTimeoutMs });
       
-      // Try multiple selectors for chart items
-      const selectors = [
-        '.chart-item',
-        '.track-info',
-        '[class*="chart"] [class*="item"]',
-        '[class*="track"]',
-        '.drupal-block-chart-list .track-info'
-      ];
+      // Wait for the chart list to render (or give up and try the fallback selectors)
+      await page.waitForSelector('.chart-item', { timeout: this.selectorTimeoutMs })
+        .catch(() => warnings.push('No .chart-item elements rendered, used fallback selectors'));
       
-      let chartItems = [];
-      for (const selector of selectors) {
-        chartItems = document.querySelectorAll(selector);
-        if (chartItems.length > 0) {
-          console.log(`Found ${chartItems.length} items with selector: ${selector}`);
-          break;
+      return page.evaluate((limit) => {
+        const tracks = [];
+      
+        // Try multiple selectors for chart items
+        const selectors = [
+          '.chart-item',
+          '.track-info',
+          '.chart-positions .track',
+          '[class*="chart"] [class*="item"]',
+          '[class*="track"]',
+          '.drupal-block-chart-list .track-info'
+        ];
+      
+        let chartItems = [];
+        for (const selector of selectors) {
+          chartItems = document.querySelectorAll(selector);
+          if (chartItems.length > 0) {
+            console.log(`Found ${chartItems.length} items with selector: ${selector}`);
+            break;
+          }
         }
-      }
       
-      if (chartItems.length === 0) {
-        // Fallback: look for any elements that might contain track info
-        const allElements = document.querySelectorAll('*');
-        for (const element of allElements) {
-          const text = element.textContent;
-          if (text && text.includes('SOMEBODY THAT I USED TO KNOW') && text.includes('GOTYE')) {
-            console.log('Found potential chart data in element:', element);
-            // Try to extract from this element
-            const parent = element.closest('[class*="chart"], [class*="track"], [class*="item"]');
-            if (parent) {
-              chartItems = parent.querySelectorAll('*');
-              break;
+        if (chartItems.length === 0) {
+          // Fallback: look for any elements that might contain track info
+          const allElements = document.querySelectorAll('*');
+          for (const element of allElements) {
+            const text = element.textContent;
+            if (text && text.includes('SOMEBODY THAT I USED TO KNOW') && text.includes('GOTYE')) {
+              console.log('Found potential chart data in element:', element);
+              // Try to extract from this element
+              const parent = element.closest('[class*="chart"], [class*="track"], [class*="item"]');
+              if (parent) {
+                chartItems = parent.querySelectorAll('*');
+                break;
+              }
             }
           }
         }
-      }
       
-      for (let i = 0; i < Math.min(chartItems.length, limit); i++) {
-        const item = chartItems[i];
-        const text = item.textContent.trim();
+        for (let i = 0; i < Math.min(chartItems.length, limit); i++) {
+          const item = chartItems[i];
+          const text = item.textContent.trim();
         
-        // Look for patterns like "1. SONG TITLE - ARTIST"
-        const match = text.match(/^(\d+)\.?\s*(.+?)\s*[-–]\s*(.+)$/m);
-        if (match) {
-          const position = parseInt(match[1]);
-          const title = match[2].trim().toUpperCase();
-          const artist = match[3].trim().toUpperCase();
+          // Look for patterns like "1. SONG TITLE - ARTIST"
+          const match = text.match(/^(\d+)\.?\s*(.+?)\s*[-–]\s*(.+)$/m);
+          if (match) {
+            const position = parseInt(match[1]);
+            const title = match[2].trim();
+            const artist = match[3].trim();
           
-          if (position && title && artist && position <= limit) {
-            const cleanArtist = this.cleanArtistForSearch(artist);
-            tracks.push({
-              position,
-              title,
-              artist,
-              searchQuery: `track:"${title}" artist:"${cleanArtist}"`
-            });
+            if (position && title && artist && position <= limit) {
+              // Keep the item's text so chart stats can be parsed outside the page
+              tracks.push({ position, title, artist, text });
+            }
           }
         }
-      }
       
-      // Sort by position
-      tracks.sort((a, b) => a.position - b.position);
+        // Sort by position
+        tracks.sort((a, b) => a.position - b.position);
       
-      console.log(`Extracted ${tracks.length} tracks`);
-      return tracks;
-    }, limit);
+        console.log(`Extracted ${tracks.length} tracks`);
+        return tracks;
+      }, limit);
+    }, { userAgent: this.userAgent }).then(tracks => tracks.map(({ text, ...track }) => ({
+      ...track,
+      ...this.parseChartStats(text)
+    })));
+  }
+
+  /**
+   * Parse chart stats from the text of a chart item, e.g. "LW: 3 Peak: 1 Weeks: 12"
+   * @param {string} text - Chart item text
+   * @param {Array<string>} flags - Badges shown next to the title, e.g. "New" or "RE"
+   * @returns {Object} Any of label, peakPosition, weeksOnChart, lastWeekPosition, isNew and isReEntry that were found
+   */
+  parseChartStats(text, flags = []) {
+    const stats = {};
+    const condensed = (text || '').replace(/\s+/g, ' ');
+    
+    const lastWeek = condensed.match(/\b(?:LW|Last week):?\s*(\d+|New|RE)\b/i);
+    const peak = condensed.match(/\bPeak(?:\s*pos(?:ition)?)?:?\s*(\d+)/i);
+    const weeks = condensed.match(/\b(?:Weeks?|Wks)(?:\s*on\s*chart)?:?\s*(\d+)/i);
+    const label = condensed.match(/\bLabel:?\s*(.+?)(?=\s+(?:LW|Last week|Peak|Weeks?|Wks|Cat(?:alogue)?\.?\s*(?:No|number))\b|$)/i);
+    
+    if (lastWeek) {
+      if (/^\d+$/.test(lastWeek[1])) {
+        stats.lastWeekPosition = parseInt(lastWeek[1]);
+      } else if (/^new$/i.test(lastWeek[1])) {
+        stats.isNew = true;
+      } else {
+        stats.isReEntry = true;
+      }
+    }
+    if (peak) stats.peakPosition = parseInt(peak[1]);
+    if (weeks) stats.weeksOnChart = parseInt(weeks[1]);
+    if (label) stats.label = label[1].trim();
+    
+    flags.forEach(flag => {
+      if (/^new$/i.test(flag)) stats.isNew = true;
+      if (/^re(?:-?entry)?$/i.test(flag)) stats.isReEntry = true;
+    });
     
-    await browser.close();
-    return chartData;
+    return stats;
   }
 
   /**
-   * Scrape using Cheerio and axios
+   * Scrape raw chart entries using Cheerio and axios
    */
-  async scrapeWithCheerio(url, limit) {
+  async scrapeWithCheerio(url, limit, warnings = []) {
     const response = await axios.get(url, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        'User-Agent': this.userAgent
       },
       timeout: 30000
     });
@@ -276,6 +776,11 @@ export class LiveChartScraper {
     const chartItems = $('.chart-item');
     console.log(`Found ${chartItems.length} chart items`);
     
+    if (chartItems.length === 0 && $(LEGACY_CHART_ROW_SELECTOR).length > 0) {
+      warnings.push('Chart uses the legacy table layout');
+      return this.parseLegacyChartRows($, warnings);
+    }
+    
     chartItems.each((index, element) => {
       
       const $element = $(element);
@@ -285,6 +790,7 @@ export class LiveChartScraper {
       const position = positionEl.text().trim();
       
       if (!position) {
+        warnings.push(`No position found for chart item ${index + 1}`);
         console.log(`❌ No position found for chart item ${index}`);
         console.log(`🔍 Position element HTML:`, positionEl.html());
         console.log(`🔍 Chart item HTML:`, $element.html().substring(0, 300) + '...');
@@ -293,6 +799,7 @@ export class LiveChartScraper {
       // Extract track title and artist from description block anchor spans
       const descriptionBlock = $element.find('.description.block');
       let title = '', artist = '';
+      let flags = [];
       
       if (descriptionBlock.length > 0) {
         console.log(`🔍 Found description block for position ${position}`);
@@ -308,6 +815,9 @@ export class LiveChartScraper {
           if (titleSpans.length > 0) {
             title = titleSpans.last().text().trim();
             console.log(`🔍 Title from first anchor: "${title}"`);
+            
+            // Earlier spans are badges such as "New" or "RE"
+            flags = titleSpans.slice(0, -1).map((i, span) => $(span).text().trim()).get();
           }
           
           // Second anchor should be the artist
@@ -318,41 +828,73 @@ export class LiveChartScraper {
             console.log(`🔍 Artist from second anchor: "${artist}"`);
           }
         } else {
+          warnings.push(`Expected title and artist links for position ${position}, found ${anchors.length}`);
           console.log(`❌ Expected 2 anchor tags, found ${anchors.length}`);
         }
       } else {
+        warnings.push(`No description block found for position ${position}`);
         console.log(`❌ No description block found for position ${position}`);
         console.log(`🔍 Chart item HTML:`, $element.html().substring(0, 200) + '...');
       }
       
       if (position && title && artist) {
-        const cleanArtist = this.cleanArtistForSearch(artist);
+        const labelText = $element.find('.label, .chart-label').first().text().trim();
+        
         tracks.push({
           position: parseInt(position),
-          title: title.toUpperCase(),
-          artist: artist.toUpperCase(),
-          searchQuery: `track:"${title.toUpperCase()}" artist:"${cleanArtist.toUpperCase()}"`
+          title,
+          artist,
+          ...this.parseChartStats($element.text(), flags),
+          ...(labelText ? { label: labelText } : {})
         });
       }
     });
     
-    // Sort by position
+    // Sort by position (missing positions are reported by checkChartEntries)
     tracks.sort((a, b) => a.position - b.position);
     
-    // Check for missing positions
-    const foundPositions = tracks.map(t => t.position);
-    const missingPositions = [];
-    for (let i = 1; i <= limit; i++) {
-      if (!foundPositions.includes(i)) {
-        missingPositions.push(i);
+    console.log(`Extracted ${tracks.length} tracks with Cheerio`);
+    return tracks;
+  }
+
+  /**
+   * Parse raw chart entries from the table layout still used by some historic archive pages
+   * @param {CheerioAPI} $ - Loaded chart page
+   * @param {Array<string>} warnings - Collects problems with individual rows
+   * @returns {Array} Raw chart entries sorted by position
+   */
+  parseLegacyChartRows($, warnings = []) {
+    const tracks = [];
+    
+    $(LEGACY_CHART_ROW_SELECTOR).each((index, element) => {
+      const $element = $(element);
+      const positionMatch = $element.find('.position').first().text().trim().match(/^\d+/);
+      
+      // Header and advert rows have no position
+      if (!positionMatch) return;
+      
+      const title = $element.find('.title a, .title').first().text().trim();
+      const artist = $element.find('.artist a, .artist').first().text().trim();
+      
+      if (!title || !artist) {
+        warnings.push(`Legacy chart row ${positionMatch[0]} is missing its ${!title ? 'title' : 'artist'}`);
+        return;
       }
-    }
+      
+      const labelText = $element.find('.label-cat .label, .label').first().text().trim();
+      
+      tracks.push({
+        position: parseInt(positionMatch[0]),
+        title,
+        artist,
+        ...this.parseChartStats($element.text()),
+        ...(labelText ? { label: labelText } : {})
+      });
+    });
     
-    if (missingPositions.length > 0) {
-      console.log(`⚠️ Missing positions: ${missingPositions.join(', ')}`);
-    }
+    tracks.sort((a, b) => a.position - b.position);
     
-    console.log(`Extracted ${tracks.length} tracks with Cheerio`);
+    console.log(`Extracted ${tracks.length} tracks from legacy chart table`);
     return tracks;
   }
 
@@ -360,39 +902,80 @@ export class LiveChartScraper {
    * Get chart data with fallback methods
    * @param {number} year - The year to scrape
    * @param {number} limit - Number of songs to scrape
-   * @returns {Promise<Array>} Array of song objects
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {Promise<{tracks: Array, report: Object}>} Song objects and the scrape report
+   */
+  async getYearChartData(year, limit = 100, chartTypeId = DEFAULT_CHART_TYPE) {
+    try {
+      return await this.scrapeYearChart(year, limit, chartTypeId);
+    } catch (error) {
+      console.error('❌ Live scraping failed');
+      const failure = new Error(`Live scraping failed for ${year}: ${error.message}`);
+      failure.report = error.report;
+      throw failure;
+    }
+  }
+
+  /**
+   * Get weekly chart data with fallback methods
+   * @param {string|Date} date - Any date within the chart week
+   * @param {number} limit - Number of songs to scrape
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {Promise<{tracks: Array, report: Object}>} Song objects and the scrape report
    */
-  async getYearChartData(year, limit = 100) {
+  async getWeeklyChartData(date, limit = 100, chartTypeId = DEFAULT_CHART_TYPE) {
     try {
-      return await this.scrapeYearChart(year, limit);
+      return await this.scrapeWeeklyChart(date, limit, chartTypeId);
     } catch (error) {
       console.error('❌ Live scraping failed');
-      throw new Error(`Live scraping failed for ${year}: ${error.message}`);
+      const failure = new Error(`Live scraping failed for week of ${date}: ${error.message}`);
+      failure.report = error.report;
+      throw failure;
     }
   }
 
   /**
-   * Get available years for end-of-year charts
-   * @returns {Array<number>} Array of available years
+   * Get available years for end-of-year charts: years with a known or previously
+   * resolved URL, plus years linked from the archive listing. Nothing is probed here;
+   * the listing is cached for archiveListingTtlMs.
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {Promise<Array<number>>} Array of available years, most recent first
    */
-  getAvailableYears() {
+  async getAvailableYears(chartTypeId = DEFAULT_CHART_TYPE) {
+    const chartType = getChartType(chartTypeId);
+    const store = await this.urlStore.load();
+    const archiveLinks = await this.discoverArchiveLinks(chartType.id);
     const currentYear = new Date().getFullYear();
-    const years = [];
     
-    for (let year = 2000; year <= currentYear; year++) {
-      years.push(year);
-    }
+    const years = new Set([
+      ...Object.keys(chartType.knownYearPaths),
+      ...Object.keys(store.urls[chartType.id] || {}),
+      ...Object.keys(archiveLinks)
+    ].map(Number));
     
-    return years.reverse(); // Most recent first
+    return [...years]
+      .filter(year => year >= chartType.firstYear && year <= currentYear)
+      .sort((a, b) => b - a);
   }
 
   /**
-   * Validate if a year is available for scraping
-   * @param {number} year - Year to validate
-   * @returns {boolean} Whether the year is valid
+   * Check whether a year's end-of-year chart may be shorter than a Top 100
+   * @param {number} year - Chart year
+   * @param {string} chartTypeId - Chart type ID (default: singles)
+   * @returns {boolean} Whether the chart predates the chart type's full-length end-of-year charts
    */
-  isValidYear(year) {
-    const currentYear = new Date().getFullYear();
-    return year >= 2000 && year <= currentYear;
+  isShortChartYear(year, chartTypeId = DEFAULT_CHART_TYPE) {
+    const { shortChartsBefore } = getChartType(chartTypeId);
+    return !!shortChartsBefore && year < shortChartsBefore;
+  }
+
+  /**
+   * Validate if a date falls within the range of published weekly charts
+   * @param {string|Date} date - Date to validate
+   * @returns {boolean} Whether a weekly chart exists for the date
+   */
+  isValidChartDate(date) {
+    const parsed = this.parseChartDate(date);
+    return !!parsed && parsed >= this.firstWeeklyChartDate && parsed <= new Date();
   }
 }
@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// Jobs in these states have stopped running; cancelled and failed jobs can be resumed
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+/**
+ * Runs Spotify matching for chart entries as background jobs.
+ *
+ * Each job matches its entries one at a time, in chart order, and keeps the
+ * matches found so far, so a client can follow progress, disconnect and come back,
+ * or cancel and later resume from where the job stopped. Jobs wait in a queue and
+ * at most `concurrency` run at once. Progress is emitted as events named after the
+ * job ID:
+ * - `{type: 'match', index, match, processed, total}` after each entry
+ * - `{type: 'status', status, processed, total, error}` when the job's status changes
+ *
+ * Jobs live in memory only. Finished jobs are forgotten after `retentionMs`.
+ */
+export class MatchJobQueue extends EventEmitter {
+  /**
+   * @param {Function} matchTrack - Matches one chart entry: (track, context) => Promise<match>
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of jobs running at the same time
+   * @param {number} options.batchSize - Pause after this many entries
+   * @param {number} options.batchDelayMs - Length of the pause, to stay under Spotify's rate limits
+   * @param {number} options.retentionMs - Forget finished jobs after this long
+   */
+  constructor(matchTrack, options = {}) {
+    super();
+    // Every open progress stream listens for its job's events
+    this.setMaxListeners(0);
+
+    this.matchTrack = matchTrack;
+    this.concurrency = options.concurrency || 1;
+    this.batchSize = options.batchSize || 10;
+    this.batchDelayMs = options.batchDelayMs ?? 200;
+    this.retentionMs = options.retentionMs || 30 * 60 * 1000;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a matching job
+   * @param {Array} tracks - Chart entries to match
+   * @param {Object} options - Job options
+   * @param {string} options.ownerId - ID of whoever may follow and control the job
+   * @param {Object} options.context - Passed to matchTrack with every entry
+   * @returns {Object} The new job
+   */
+  createJob(tracks, { ownerId, context } = {}) {
+    this.pruneFinishedJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      context,
+      status: 'queued',
+      tracks,
+      matches: [],
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.enqueue(job);
+    console.log(`📋 Queued match job ${job.id} (${tracks.length} tracks)`);
+
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} jobId - Job ID
+   * @param {string} ownerId - Only return the job if it belongs to this owner
+   * @returns {Object|null} The job, or null if it doesn't exist or belongs to someone else
+   */
+  getJob(jobId, ownerId) {
+    const job = this.jobs.get(jobId);
+    return job && job.ownerId === ownerId ? job : null;
+  }
+
+  /**
+   * Cancel a job. A queued job stops straight away; a running job stops after the
+   * entry it is matching, keeping the matches found so far.
+   * @param {Object} job - Job to cancel
+   * @returns {Object} The job
+   */
+  cancel(job) {
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+    }
+
+    return job;
+  }
+
+  /**
+   * Resume a cancelled or failed job from the first unmatched entry
+   * @param {Object} job - Job to resume
+   * @param {Object} context - Fresh context for matchTrack, e.g. a renewed access token
+   * @returns {Object} The job
+   * @throws {Error} When the job has completed
+   */
+  resume(job, context) {
+    if (job.status === 'completed') {
+      throw new Error('Job has already completed');
+    }
+
+    if (context) {
+      job.context = context;
+    }
+
+    // A running job that hasn't reached its cancel point yet just carries on
+    job.cancelRequested = false;
+
+    if (job.status === 'cancelled' || job.status === 'failed') {
+      job.error = null;
+      job.finishedAt = null;
+      this.enqueue(job);
+      console.log(`▶️ Resuming match job ${job.id} at entry ${job.matches.length + 1}/${job.tracks.length}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Summarize a job for API responses
+   * @param {Object} job - Job
+   * @param {Object} options - Summary options
+   * @param {boolean} options.includeMatches - Include the matches found so far
+   * @returns {Object} Job ID, status, progress, positions needing review and optionally matches
+   */
+  describe(job, { includeMatches = false } = {}) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      processed: job.matches.length,
+      total: job.tracks.length,
+      matchedTracks: job.matches.filter(match => match.hasMatch).length,
+      needsReview: job.matches.filter(match => match.needsReview).map(match => match.position),
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      ...(includeMatches ? { matches: job.matches } : {})
+    };
+  }
+
+  /**
+   * Put a job at the back of the queue and start it if there is room
+   * @param {Object} job - Job to queue
+   */
+  enqueue(job) {
+    job.status = 'queued';
+    this.queue.push(job);
+    this.emitStatus(job);
+    this.processQueue();
+  }
+
+  /**
+   * Start queued jobs while fewer than `concurrency` are running
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+
+      this.runJob(job).finally(() => {
+        this.running--;
+        this.processQueue();
+      });
+    }
+  }
+
+  /**
+   * Match a job's remaining entries
+   * @param {Object} job - Job to run
+   * @returns {Promise<void>} Resolves when the job completes, is cancelled or fails
+   */
+  async runJob(job) {
+    job.status = 'running';
+    this.emitStatus(job);
+
+    try {
+      while (job.matches.length < job.tracks.length) {
+        if (job.cancelRequested) {
+          console.log(`⏹️ Cancelled match job ${job.id} after ${job.matches.length}/${job.tracks.length} entries`);
+          this.finish(job, 'cancelled');
+          return;
+        }
+
+        const index = job.matches.length;
+        const match = await this.matchTrack(job.tracks[index], job.context);
+        job.matches.push(match);
+
+        this.emit(job.id, {
+          type: 'match',
+          index,
+          match,
+          processed: job.matches.length,
+          total: job.tracks.length
+        });
+
+        // Pause between batches to avoid rate limiting
+        if (job.matches.length % this.batchSize === 0 && job.matches.length < job.tracks.length) {
+          await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+        }
+      }
+
+      console.log(`✅ Match job ${job.id} completed: ${job.matches.filter(match => match.hasMatch).length}/${job.tracks.length} matched`);
+      this.finish(job, 'completed');
+    } catch (error) {
+      console.error(`❌ Match job ${job.id} failed:`, error.message);
+      job.error = error.message;
+      this.finish(job, 'failed');
+    }
+  }
+
+  /**
+   * Move a job into a finished state
+   * @param {Object} job - Job
+   * @param {string} status - 'completed', 'cancelled' or 'failed'
+   */
+  finish(job, status) {
+    job.status = status;
+    job.cancelRequested = false;
+    job.finishedAt = new Date().toISOString();
+    this.emitStatus(job);
+  }
+
+  /**
+   * Tell listeners about a job's current status
+   * @param {Object} job - Job
+   */
+  emitStatus(job) {
+    this.emit(job.id, {
+      type: 'status',
+      status: job.status,
+      processed: job.matches.length,
+      total: job.tracks.length,
+      error: job.error
+    });
+  }
+
+  /**
+   * Whether a job has stopped running
+   * @param {Object} job - Job
+   * @returns {boolean} Whether the job is completed, cancelled or failed
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Forget jobs that finished longer ago than the retention period
+   */
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [jobId, job] of this.jobs) {
+      if (this.isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
@@ -0,0 +1,436 @@
+import { splitArtists } from './chartEntryNormalizer.js';
+
+/**
+ * Scoring of Spotify candidates for chart entries.
+ *
+ * Every candidate gets a confidence between 0 and 1 that it is the charting
+ * recording, with the reasons behind it. Confidence starts at 1 and each reason
+ * records how much it takes off (its `impact`). The reasons add up to the
+ * confidence shown, except that confidence stops at 0 when they take off more.
+ * Candidates are ranked by confidence plus release preferences (original albums
+ * over compilations, releases from around the chart year, popularity, and explicit
+ * versions when the playlist prefers them), and matches whose best candidate falls
+ * below the auto-accept threshold are flagged for review.
+ *
+ * Candidates sharing an ISRC are the same recording on different releases (the
+ * original single, the album, a later remaster). They compete as one group, and the
+ * group is represented by its earliest release. Releases that can't be played in the
+ * user's market lose confidence, so a playable release of the recording wins.
+ */
+
+// Matches at or above this confidence are accepted without review
+export const DEFAULT_AUTO_ACCEPT_THRESHOLD = 0.85;
+
+// How much title and artist differences can take off the confidence
+const TITLE_WEIGHT = 0.6;
+const ARTIST_WEIGHT = 0.4;
+
+// Words ignored when comparing titles and artists
+const STOP_WORDS = /\b(the|a|an|and|or|but|in|on|at|to|for|of|with|by)\b/g;
+
+// Signs that a track is a different recording from the charting one. Terms that
+// appear in the chart title itself (e.g. "Dance Monkey") are not held against a candidate.
+const TRACK_VERSION_RULES = [
+  {
+    terms: ['live', 'concert', 'acoustic', 'unplugged'],
+    fields: ['name', 'album'],
+    impact: -0.3,
+    message: 'Looks like a live or acoustic version'
+  },
+  {
+    terms: ['remix', 'mix', 'version', 'edit', 'extended', 'club'],
+    fields: ['name'],
+    impact: -0.25,
+    message: 'Looks like a remix or alternative version'
+  },
+  {
+    terms: ['cover', 'tribute', 'karaoke', 'instrumental', 'originally performed', 'in the style of'],
+    fields: ['name', 'artist', 'album'],
+    impact: -0.5,
+    message: 'Looks like a cover, tribute or karaoke version'
+  },
+  {
+    terms: ['party', 'dance', 'night'],
+    fields: ['name'],
+    impact: -0.15,
+    message: 'Looks like a party or dance version'
+  }
+];
+
+const ALBUM_VERSION_RULES = [
+  {
+    terms: ['live', 'karaoke', 'tribute', 'instrumental'],
+    fields: ['name'],
+    impact: -0.3,
+    message: 'Looks like a live, tribute or karaoke album'
+  },
+  {
+    terms: ['deluxe', 'expanded', 'remaster', 'remastered'],
+    fields: ['name'],
+    impact: -0.05,
+    message: 'Deluxe or remastered edition rather than the original'
+  }
+];
+
+// Album names that mark a compilation rather than the original release
+const COMPILATION_PATTERN = /\b(greatest hits|best of|collection|anthology|compilation|hits)\b/;
+
+// Per-playlist preferences for explicit content: no preference, clean versions only,
+// or explicit versions preferred over clean edits
+export const EXPLICIT_PREFERENCES = ['any', 'clean', 'explicit'];
+export const DEFAULT_EXPLICIT_PREFERENCE = 'any';
+
+// How much an explicit track takes off the confidence for a clean-only playlist,
+// enough to need review even when everything else matches
+const CLEAN_ONLY_EXPLICIT_IMPACT = -0.5;
+
+// How much a track that can't be played in the user's market takes off the confidence,
+// enough to need review even when everything else matches
+const UNPLAYABLE_IMPACT = -0.5;
+
+// Releases of the same recording this close to the group's best confidence can represent it
+const SAME_RECORDING_CONFIDENCE_MARGIN = 0.1;
+
+/**
+ * Normalize text for comparison: lower case, no accents, punctuation or stop words
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeForComparison(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(STOP_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Calculate Levenshtein distance between two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Edit distance
+ */
+export function levenshteinDistance(str1, str2) {
+  const matrix = [];
+
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+}
+
+/**
+ * Calculate how similar two strings are, after normalization
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+export function calculateSimilarity(str1, str2) {
+  const clean1 = normalizeForComparison(str1);
+  const clean2 = normalizeForComparison(str2);
+
+  const longer = clean1.length > clean2.length ? clean1 : clean2;
+  const shorter = clean1.length > clean2.length ? clean2 : clean1;
+
+  if (longer.length === 0) return 1.0;
+
+  return (longer.length - levenshteinDistance(longer, shorter)) / longer.length;
+}
+
+/**
+ * Remove version suffixes from a Spotify title, e.g. "Song - 2011 Remaster" or "Song (feat. X)"
+ * @param {string} name - Spotify track or album name
+ * @returns {string} Base title
+ */
+function getBaseTitle(name) {
+  return String(name || '').replace(/\s+-\s+.*$/, '').replace(/\s*[([].*?[)\]]/g, '').trim() || name;
+}
+
+/**
+ * Compare a chart title with a Spotify title, ignoring version suffixes (those are scored separately)
+ * @param {string} chartTitle - Title from the chart
+ * @param {string} spotifyTitle - Spotify track or album name
+ * @returns {number} Similarity between 0 and 1
+ */
+export function compareTitles(chartTitle, spotifyTitle) {
+  return Math.max(
+    calculateSimilarity(chartTitle, spotifyTitle),
+    calculateSimilarity(chartTitle, getBaseTitle(spotifyTitle))
+  );
+}
+
+/**
+ * Compare a chart artist credit with a candidate's artists
+ * @param {string} chartArtist - Artist credit from the chart, e.g. "Calvin Harris & Dua Lipa"
+ * @param {Object} candidate - Spotify track or album with artist and artists
+ * @returns {number} Similarity between 0 and 1
+ */
+function compareArtists(chartArtist, candidate) {
+  const spotifyArtists = candidate.artists?.length ? candidate.artists : [candidate.artist];
+  const { leadArtists } = splitArtists(chartArtist);
+
+  return Math.max(
+    calculateSimilarity(chartArtist, spotifyArtists.join(' ')),
+    calculateSimilarity(leadArtists[0] || chartArtist, spotifyArtists[0]),
+    // Credits are often ordered differently, so any lead artist matching any credited artist counts
+    ...leadArtists.flatMap(lead => spotifyArtists.map(artist => calculateSimilarity(lead, artist) * 0.9))
+  );
+}
+
+/**
+ * Round a number to two decimal places
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out how confident we are that a candidate is the chart entry
+ * @param {Object} candidate - Spotify track or album
+ * @param {Object} entry - Chart entry with title and artist
+ * @param {Array<Object>} versionRules - Rules for spotting other versions
+ * @param {Array<Object>} extraReasons - Reasons from the caller, counted before the confidence is clamped
+ * @returns {{confidence: number, reasons: Array<{message: string, impact: number}>}} Confidence and reasons
+ */
+function assessConfidence(candidate, entry, versionRules, extraReasons = []) {
+  const reasons = [];
+
+  const titleSimilarity = compareTitles(entry.title, candidate.name);
+  reasons.push(titleSimilarity === 1 ?
+    { message: 'Title matches', impact: 0 } :
+    {
+      message: `Title ${Math.round(titleSimilarity * 100)}% similar: "${entry.title}" vs "${candidate.name}"`,
+      impact: -round((1 - titleSimilarity) * TITLE_WEIGHT)
+    });
+
+  const artistSimilarity = compareArtists(entry.artist, candidate);
+  const candidateArtists = candidate.artists?.length ? candidate.artists.join(', ') : candidate.artist;
+  reasons.push(artistSimilarity === 1 ?
+    { message: 'Artist matches', impact: 0 } :
+    {
+      message: `Artist ${Math.round(artistSimilarity * 100)}% similar: "${entry.artist}" vs "${candidateArtists}"`,
+      impact: -round((1 - artistSimilarity) * ARTIST_WEIGHT)
+    });
+
+  const chartTitle = entry.title.toLowerCase();
+  versionRules.forEach(rule => {
+    const text = rule.fields.map(field => (candidate[field] || '').toLowerCase()).join(' ');
+    const found = rule.terms.find(term => new RegExp(`\\b${term}\\b`).test(text) && !chartTitle.includes(term));
+    if (found) {
+      reasons.push({ message: `${rule.message} ("${found}")`, impact: rule.impact });
+    }
+  });
+
+  // Tracks are looked up for a market; greyed-out ones would be skipped when the playlist plays
+  if (candidate.is_playable === false) {
+    const why = candidate.unavailable_reason ? ` (${candidate.unavailable_reason})` : '';
+    reasons.push({ message: `Not playable in ${candidate.market || 'your market'}${why}`, impact: UNPLAYABLE_IMPACT });
+  }
+
+  reasons.push(...extraReasons);
+  const confidence = reasons.reduce((total, reason) => total + reason.impact, 1);
+  return { confidence: round(Math.min(1, Math.max(0, confidence))), reasons };
+}
+
+/**
+ * Score how well a release date fits the chart year. Entries are released in or
+ * shortly before the year they chart; releases from later years are reissues and
+ * remasters. Older releases are left alone, as old songs do re-enter the charts.
+ * @param {Object} candidate - Spotify track or album with album_release_date
+ * @param {number} chartYear - Year of the chart, if known
+ * @param {Array} reasons - Reasons to add to
+ * @returns {number} Ranking points
+ */
+function scoreReleaseYear(candidate, chartYear, reasons) {
+  const releaseYear = parseInt(candidate.album_release_date);
+  if (!chartYear || !releaseYear) return 0;
+
+  const yearsAfter = releaseYear - chartYear;
+
+  if (yearsAfter > 0) {
+    reasons.push({
+      message: `Released in ${releaseYear}, ${yearsAfter} year${yearsAfter === 1 ? '' : 's'} after the ${chartYear} chart (likely a reissue)`,
+      impact: 0
+    });
+    return -Math.min(30, 5 + yearsAfter * 3);
+  }
+
+  if (yearsAfter >= -2) {
+    reasons.push({ message: `Released in ${releaseYear}, around the ${chartYear} chart`, impact: 0 });
+    return 15;
+  }
+
+  return 5;
+}
+
+/**
+ * Get a sortable release time for a candidate
+ * @param {Object} candidate - Spotify track or album with album_release_date ("2008", "2008-05" or "2008-05-12")
+ * @returns {number} Release timestamp, or Infinity when unknown
+ */
+function getReleaseTime(candidate) {
+  const time = Date.parse(candidate.album_release_date || '');
+  return Number.isNaN(time) ? Infinity : time;
+}
+
+/**
+ * Score a Spotify track against a chart entry
+ * @param {Object} track - Spotify track, as returned by SpotifyAPI.formatTrack
+ * @param {Object} entry - Chart entry with title and artist
+ * @param {Object} options - Scoring options
+ * @param {number} options.chartYear - Year of the chart, to favour releases from around then
+ * @param {string} options.explicitPreference - 'any', 'clean' (explicit tracks need review) or 'explicit' (favour explicit versions)
+ * @returns {{confidence: number, reasons: Array, score: number}} Confidence with its reasons, and a ranking score
+ */
+export function scoreTrackCandidate(track, entry, { chartYear, explicitPreference = DEFAULT_EXPLICIT_PREFERENCE } = {}) {
+  const cleanOnlyReasons = explicitPreference === 'clean' && track.explicit ?
+    [{ message: 'Explicit version, but the playlist is clean only', impact: CLEAN_ONLY_EXPLICIT_IMPACT }] :
+    [];
+  const { confidence, reasons } = assessConfidence(track, entry, TRACK_VERSION_RULES, cleanOnlyReasons);
+  const albumLower = (track.album || '').toLowerCase();
+  const compilation = track.album_type === 'compilation' || COMPILATION_PATTERN.test(albumLower);
+
+  if (compilation) {
+    reasons.push({ message: `From a compilation ("${track.album}") rather than the original release`, impact: 0 });
+  }
+
+  // Release preferences only decide between candidates; they don't change the confidence
+  let preference = (track.popularity || 0) * 0.3;
+
+  if (compilation) {
+    preference -= 25;
+  } else if (track.album_type === 'album') {
+    preference += 25;
+  } else if (track.album_type === 'single') {
+    preference += 5;
+  }
+
+  // Explicit and clean versions of a song match equally well; only the playlist's preference decides
+  if (explicitPreference === 'explicit' && track.explicit) {
+    preference += 10;
+  }
+
+  preference += scoreReleaseYear(track, chartYear, reasons);
+
+  return { confidence, reasons, score: confidence * 100 + preference };
+}
+
+/**
+ * Score a Spotify album against an album chart entry
+ * @param {Object} album - Spotify album, as returned by SpotifyAPI.formatAlbum
+ * @param {Object} entry - Chart entry with title and artist
+ * @param {Object} options - Scoring options
+ * @param {number} options.chartYear - Year of the chart, to favour releases from around then
+ * @returns {{confidence: number, reasons: Array, score: number}} Confidence with its reasons, and a ranking score
+ */
+export function scoreAlbumCandidate(album, entry, { chartYear } = {}) {
+  const { confidence, reasons } = assessConfidence(album, entry, ALBUM_VERSION_RULES);
+
+  // Prefer full albums over singles and compilations
+  let preference = 0;
+  if (album.album_type === 'album') {
+    preference += 10;
+  } else if (album.album_type === 'compilation') {
+    reasons.push({ message: 'Compilation rather than the original album', impact: 0 });
+    preference -= 10;
+  }
+
+  preference += scoreReleaseYear(album, chartYear, reasons);
+
+  return { confidence, reasons, score: confidence * 100 + preference };
+}
+
+/**
+ * Score every candidate for a chart entry and pick the best one
+ * @param {Array} candidates - Spotify tracks or albums
+ * @param {Object} entry - Chart entry with title, artist and entryType
+ * @param {Object} options - Scoring options
+ * @param {number} options.threshold - Confidence needed to accept a match without review
+ * @param {number} options.chartYear - Year of the chart, if known
+ * @param {string} options.explicitPreference - The playlist's explicit content preference (tracks only)
+ * @returns {{candidates: Array, selectedMatch: number|null, confidence: number|null, autoAccepted: boolean, needsReview: boolean}}
+ *   Candidates with confidence, reasons and needsReview added, the index of the best one, and whether the match needs review
+ */
+export function assessCandidates(candidates, entry, { threshold = DEFAULT_AUTO_ACCEPT_THRESHOLD, chartYear = null, explicitPreference = DEFAULT_EXPLICIT_PREFERENCE } = {}) {
+  const scoreCandidate = entry.entryType === 'album' ? scoreAlbumCandidate : scoreTrackCandidate;
+
+  const scored = candidates.map(candidate => {
+    const { confidence, reasons, score } = scoreCandidate(candidate, entry, { chartYear, explicitPreference });
+    return { candidate: { ...candidate, confidence, reasons, needsReview: confidence < threshold }, score };
+  });
+
+  if (scored.length === 0) {
+    return { candidates: [], selectedMatch: null, confidence: null, autoAccepted: false, needsReview: true };
+  }
+
+  // Group releases of the same recording; candidates without an ISRC stand alone
+  const groups = new Map();
+  scored.forEach(({ candidate }, index) => {
+    const key = candidate.isrc ? candidate.isrc.toUpperCase() : `#${index}`;
+    groups.set(key, [...(groups.get(key) || []), index]);
+  });
+
+  // Each group competes with its best score and is represented by its earliest release
+  // that matches about as well; earlier search results win ties, as Spotify already ranks by relevance
+  let selectedMatch = null;
+  let bestScore = -Infinity;
+  for (const [isrc, members] of groups) {
+    const groupScore = Math.max(...members.map(index => scored[index].score));
+    const groupConfidence = Math.max(...members.map(index => scored[index].candidate.confidence));
+    const representative = members
+      .filter(index => scored[index].candidate.confidence >= groupConfidence - SAME_RECORDING_CONFIDENCE_MARGIN)
+      .reduce((earliest, index) => getReleaseTime(scored[index].candidate) < getReleaseTime(scored[earliest].candidate) ? index : earliest);
+
+    if (members.length > 1) {
+      const original = scored[representative].candidate;
+      members.filter(index => index !== representative).forEach(index => {
+        scored[index].candidate.reasons.push({
+          message: `Same recording (ISRC ${isrc}) as the earlier release on "${original.album}" (${original.album_release_date || 'date unknown'})`,
+          impact: 0
+        });
+      });
+    }
+
+    if (groupScore > bestScore) {
+      bestScore = groupScore;
+      selectedMatch = representative;
+    }
+  }
+
+  const best = scored[selectedMatch].candidate;
+
+  console.log(`🎯 Best match for "${entry.title}" by ${entry.artist}: "${best.name}" by ${best.artist} (confidence ${best.confidence})`);
+
+  return {
+    candidates: scored.map(({ candidate }) => candidate),
+    selectedMatch,
+    confidence: best.confidence,
+    autoAccepted: !best.needsReview,
+    needsReview: best.needsReview
+  };
+}
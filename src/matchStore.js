@@ -0,0 +1,119 @@
+import path from 'path';
+import { JsonFileStore, DEFAULT_DATA_DIR } from './jsonFileStore.js';
+
+// Earlier decisions kept per entry, so an override shows what it replaced
+const MAX_HISTORY = 10;
+
+/**
+ * Shared store of verified Spotify matches for chart entries.
+ *
+ * When someone accepts a match or overrides it with another Spotify track, the
+ * choice is stored against the chart entry (its type, title and artist, so the
+ * same song is recognised in every chart it appears in) together with who made it
+ * and when. Matching consults the store before searching Spotify, so a song only
+ * has to be verified once for everybody.
+ */
+export class MatchStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dataDir - Directory for the store file
+   */
+  constructor(options = {}) {
+    this.store = new JsonFileStore(
+      path.join(options.dataDir || DEFAULT_DATA_DIR, 'match-store.json'),
+      { matches: {} }
+    );
+  }
+
+  /**
+   * Build the key identifying a chart entry, ignoring case, punctuation and spacing
+   * @param {Object} entry - Chart entry with title, artist and entryType
+   * @returns {string} Store key
+   */
+  getKey({ title, artist, entryType }) {
+    const normalize = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return `${entryType === 'album' ? 'album' : 'track'}:${normalize(title)}|${normalize(artist)}`;
+  }
+
+  /**
+   * Look up the stored match for a chart entry
+   * @param {Object} entry - Chart entry with title, artist and entryType
+   * @returns {Promise<Object|null>} Stored match, or null if nobody has verified the entry
+   */
+  async get(entry) {
+    const data = await this.store.load();
+    return data.matches[this.getKey(entry)] || null;
+  }
+
+  /**
+   * Store the Spotify track chosen for a chart entry
+   * @param {Object} entry - Chart entry with title, artist and entryType
+   * @param {Object} track - Chosen Spotify track (or album), as returned by SpotifyAPI
+   * @param {Object} decision - Who made the choice
+   * @param {string} decision.userId - Spotify user ID
+   * @param {string} decision.userName - Display name
+   * @param {boolean} decision.overridden - Whether the automatic match was replaced by another track
+   * @returns {Promise<Object>} The stored match
+   */
+  async set(entry, track, { userId, userName, overridden = false }) {
+    const data = await this.store.load();
+    const key = this.getKey(entry);
+    const previous = data.matches[key];
+
+    // Replacing someone else's choice with a different track counts as an override too
+    const replaced = previous && previous.spotifyId !== track.id;
+
+    const stored = {
+      title: entry.title,
+      artist: entry.artist,
+      entryType: entry.entryType === 'album' ? 'album' : 'track',
+      spotifyId: track.id,
+      spotifyUri: track.uri,
+      track,
+      action: overridden || replaced ? 'overridden' : 'accepted',
+      userId,
+      userName: userName || userId,
+      updatedAt: new Date().toISOString(),
+      history: previous ?
+        [this.summarize(previous), ...(previous.history || [])].slice(0, MAX_HISTORY) :
+        []
+    };
+
+    data.matches[key] = stored;
+    await this.store.save();
+
+    console.log(`💾 ${stored.userName} ${stored.action} "${track.name}" for ${entry.title} by ${entry.artist}`);
+    return stored;
+  }
+
+  /**
+   * Remove the stored match for a chart entry
+   * @param {Object} entry - Chart entry with title, artist and entryType
+   * @returns {Promise<boolean>} Whether a match was removed
+   */
+  async remove(entry) {
+    const data = await this.store.load();
+    const key = this.getKey(entry);
+
+    if (!data.matches[key]) return false;
+
+    delete data.matches[key];
+    await this.store.save();
+    return true;
+  }
+
+  /**
+   * Describe who chose a stored match and when, for API responses
+   * @param {Object} stored - Stored match
+   * @returns {{spotifyId: string, action: string, userId: string, userName: string, updatedAt: string}} Summary
+   */
+  summarize(stored) {
+    return {
+      spotifyId: stored.spotifyId,
+      action: stored.action,
+      userId: stored.userId,
+      userName: stored.userName,
+      updatedAt: stored.updatedAt
+    };
+  }
+}
@@ -0,0 +1,164 @@
+import { splitArtists } from './chartEntryNormalizer.js';
+import { calculateSimilarity } from './matchScoring.js';
+
+/**
+ * Search strategies for finding a chart entry on Spotify.
+ *
+ * Matching walks a ladder of strategies, from the strict field query built from the
+ * chart entry down to a loose free-text search, and stops at the first step whose
+ * results are good enough. Later steps work around the usual causes of misses:
+ * featured artists, bracketed suffixes such as "(FT ...)" or "(REMIX)", accents and
+ * ampersands, and titles Spotify spells differently from the chart.
+ */
+
+// Most results a title-only search fetches before filtering by artist
+const TITLE_ONLY_SEARCH_LIMIT = 20;
+
+// How similar a result's artist must be to the chart's lead artist to pass the title-only filter
+const ARTIST_FILTER_SIMILARITY = 0.7;
+
+// Terms excluded by the enhanced query, grouped with the title words that make a group unnecessary
+const EXCLUSION_GROUPS = [
+  { skipIf: ['live', 'concert'], exclude: ['live', 'concert'] },
+  { skipIf: ['acoustic', 'unplugged'], exclude: ['acoustic', 'unplugged'] },
+  { skipIf: ['remix', 'mix', 'version', 'edit'], exclude: ['remix', 'mix', 'version', 'edit'] },
+  { skipIf: ['radio', 'extended', 'club'], exclude: ['radio', 'extended', 'club'] },
+  { skipIf: ['party'], exclude: ['party'] },
+  { skipIf: ['cover', 'tribute'], exclude: ['cover', 'tribute'] },
+  { skipIf: ['karaoke', 'instrumental'], exclude: ['karaoke', 'instrumental'] }
+];
+
+/**
+ * Enhance search query to exclude common alternative versions
+ * @param {string} query - Original search query
+ * @returns {string} Enhanced query with exclusions
+ */
+export function enhanceSearchQuery(query) {
+  // Only add exclusions if the track name doesn't naturally contain those terms
+  const trackMatch = query.match(/track:"([^"]*)"/);
+  const trackName = trackMatch ? trackMatch[1].toLowerCase() : '';
+
+  const exclusions = EXCLUSION_GROUPS
+    .filter(group => !group.skipIf.some(term => trackName.includes(term)))
+    .flatMap(group => group.exclude.map(term => `NOT ${term}`));
+
+  return exclusions.length > 0 ? `${query} ${exclusions.join(' ')}` : query;
+}
+
+/**
+ * Remove featured artist credits from a title, e.g. "Señorita (feat. X)" or "Señorita ft. X"
+ * @param {string} title - Title
+ * @returns {string} Title without featured artists
+ */
+function removeFeaturedArtists(title) {
+  return title
+    .replace(/\s*[([]\s*(?:ft|feat|featuring)\.?\s[^)\]]*[)\]]/gi, '')
+    .replace(/\s+(?:ft|feat|featuring)\.?\s.*$/i, '')
+    .trim();
+}
+
+/**
+ * Remove bracketed text and " - " suffixes from a title, e.g. "Song (Radio Edit) - Remastered"
+ * @param {string} title - Title
+ * @returns {string} Title without brackets and suffixes
+ */
+function removeBracketedText(title) {
+  return title.replace(/\s*[([][^)\]]*[)\]]/g, '').replace(/\s+-\s+.*$/, '').trim();
+}
+
+/**
+ * Fold accents, spell out ampersands and drop punctuation, e.g. "Beyoncé & Jay-Z" -> "Beyonce and Jay Z"
+ * @param {string} text - Text
+ * @returns {string} Plain text
+ */
+function toPlainText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the first lead artist of a chart entry
+ * @param {Object} entry - Chart entry with artist and optionally leadArtists
+ * @returns {string} Lead artist
+ */
+function getLeadArtist(entry) {
+  return entry.leadArtists?.[0] || splitArtists(entry.artist).leadArtists[0] || entry.artist || '';
+}
+
+/**
+ * Build a field query, leaving out quotes Spotify can't handle inside a field
+ * @param {string} title - Track title
+ * @param {string} artist - Artist
+ * @returns {string} Query, e.g. track:"Despacito" artist:"Luis Fonsi"
+ */
+function fieldQuery(title, artist) {
+  const clean = (text) => text.replace(/"/g, '');
+  return artist ? `track:"${clean(title)}" artist:"${clean(artist)}"` : `track:"${clean(title)}"`;
+}
+
+/**
+ * The search strategies, by ID. Each builds a query from a chart entry and can
+ * filter the results.
+ */
+export const SEARCH_STRATEGIES = {
+  enhanced: {
+    description: 'Chart query, excluding live, remix, cover and karaoke versions',
+    buildQuery: (entry) => enhanceSearchQuery(entry.searchQuery)
+  },
+  exact: {
+    description: 'Chart query as built from the chart entry',
+    buildQuery: (entry) => entry.searchQuery
+  },
+  'no-featured': {
+    description: 'Title without featured artists, lead artist only',
+    buildQuery: (entry) => fieldQuery(removeFeaturedArtists(entry.title), getLeadArtist(entry))
+  },
+  'no-brackets': {
+    description: 'Title without bracketed text or suffixes',
+    buildQuery: (entry) => fieldQuery(removeBracketedText(removeFeaturedArtists(entry.title)), getLeadArtist(entry))
+  },
+  normalized: {
+    description: 'Title and artist without accents, ampersands or punctuation',
+    buildQuery: (entry) => fieldQuery(toPlainText(removeBracketedText(removeFeaturedArtists(entry.title))), toPlainText(getLeadArtist(entry)))
+  },
+  'title-only': {
+    description: 'Title only, keeping results by the chart artist',
+    limit: TITLE_ONLY_SEARCH_LIMIT,
+    buildQuery: (entry) => fieldQuery(removeBracketedText(removeFeaturedArtists(entry.title))),
+    filter: (track, entry) => {
+      const lead = getLeadArtist(entry);
+      return (track.artists || [track.artist]).some(artist => calculateSimilarity(lead, artist) >= ARTIST_FILTER_SIMILARITY);
+    }
+  },
+  'free-text': {
+    description: 'Loose free-text search for title and artist',
+    buildQuery: (entry) => toPlainText(`${removeBracketedText(removeFeaturedArtists(entry.title))} ${getLeadArtist(entry)}`)
+  }
+};
+
+// Strategies tried, in order, when no ladder is configured
+export const DEFAULT_SEARCH_LADDER = ['enhanced', 'exact', 'no-featured', 'no-brackets', 'normalized', 'title-only', 'free-text'];
+
+/**
+ * Parse a search ladder setting
+ * @param {string|Array<string>} ladder - Strategy IDs, as an array or comma-separated list
+ * @returns {Array<string>} Strategy IDs (the default ladder when none are given)
+ * @throws {Error} When the ladder names an unknown strategy
+ */
+export function resolveSearchLadder(ladder) {
+  const ids = (Array.isArray(ladder) ? ladder : String(ladder || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+
+  const unknown = ids.filter(id => !Object.hasOwn(SEARCH_STRATEGIES, id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown search strategies: ${unknown.join(', ')}. Supported strategies: ${Object.keys(SEARCH_STRATEGIES).join(', ')}`);
+  }
+
+  return ids.length > 0 ? ids : DEFAULT_SEARCH_LADDER;
+}
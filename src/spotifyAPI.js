@@ -1,19 +1,231 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import { URLSearchParams } from 'url';
+import { enhanceSearchQuery, SEARCH_STRATEGIES, DEFAULT_SEARCH_LADDER } from './searchLadder.js';
+import { assessCandidates, calculateSimilarity, compareTitles } from './matchScoring.js';
+import { splitArtists } from './chartEntryNormalizer.js';
 
+// How similar names must be for the artist-catalogue search to accept an artist or track
+const CATALOGUE_ARTIST_SIMILARITY = 0.8;
+const CATALOGUE_TITLE_SIMILARITY = 0.8;
+
+// Most releases the artist-catalogue search fetches tracks for
+const CATALOGUE_MAX_RELEASES = 40;
+
+// How similar a clean track's title must be to the explicit one it stands in for
+const CLEAN_VERSION_TITLE_SIMILARITY = 0.9;
+
+// Token refreshes in flight, keyed by the refresh token they use. Clients are created per
+// request, so parallel requests of one session share a refresh here: Spotify may rotate the
+// refresh token, and a second refresh with the old one would fail and log the user out.
+const pendingRefreshes = new Map();
+
+// How long a finished refresh is kept for requests that still hold the old refresh token
+const REFRESH_REUSE_MS = 60 * 1000;
+
+// Scopes requested when users log in
+export const SPOTIFY_SCOPES = [
+  'playlist-modify-public',
+  'playlist-modify-private',
+  'user-read-private',
+  'user-read-email'
+];
+
+// Market for track lookups when none is configured
+export const DEFAULT_MARKET = 'GB';
+
+// Authorization Code flows: with the client secret, or with PKCE for deployments without one
+export const AUTH_FLOWS = ['client-secret', 'pkce'];
+
+/**
+ * Create a PKCE code verifier and its challenge
+ * @returns {{verifier: string, challenge: string}} Verifier to keep for the token exchange, and the S256 challenge to send with the login
+ */
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(64).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Spotify Web API client.
+ *
+ * A client holds one user's credentials, so the server keeps an app-level instance
+ * for the OAuth settings and creates a client per session with withCredentials.
+ * Clients must not be shared between users.
+ *
+ * Access tokens are refreshed shortly before they expire, and a request rejected
+ * with 401 is retried once after a refresh. The onTokenRefresh callback receives the
+ * new tokens so they can be stored (e.g. in the session).
+ *
+ * Users log in with the Authorization Code flow, either with the client secret or,
+ * when `authFlow` is 'pkce', with a per-login code verifier instead.
+ *
+ * Track and album lookups are made for one market (a country code), so Spotify
+ * relinks tracks to the version playable there and marks the rest unplayable.
+ */
 export class SpotifyAPI {
-  constructor(clientId, clientSecret, redirectUri = 'http://localhost:3000/callback') {
+  /**
+   * @param {string} clientId - Spotify app client ID
+   * @param {string} clientSecret - Spotify app client secret
+   * @param {string} redirectUri - OAuth redirect URI
+   * @param {Object} credentials - User credentials: accessToken, refreshToken, userId and expiresAt (ms timestamp)
+   * @param {Object} options - Client options
+   * @param {Function} options.onTokenRefresh - Called with {accessToken, refreshToken, expiresAt} after a refresh
+   * @param {string} options.authFlow - 'client-secret' or 'pkce' (default: pkce when there is no client secret)
+   * @param {string} options.market - Country code track lookups are made for (default: GB)
+   */
+  constructor(clientId, clientSecret, redirectUri = 'http://localhost:3000/callback', credentials = {}, options = {}) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.redirectUri = redirectUri;
     this.baseURL = 'https://api.spotify.com/v1';
     this.accountsURL = 'https://accounts.spotify.com';
-    this.accessToken = null;
-    this.refreshToken = null;
-    this.userId = null;
+    this.accessToken = credentials.accessToken || null;
+    this.refreshToken = credentials.refreshToken || null;
+    this.userId = credentials.userId || null;
+    this.expiresAt = credentials.expiresAt || null;
+    this.onTokenRefresh = options.onTokenRefresh || null;
+    this.authFlow = options.authFlow || (clientSecret ? 'client-secret' : 'pkce');
+    this.market = (options.market || DEFAULT_MARKET).toUpperCase();
+    if (!AUTH_FLOWS.includes(this.authFlow)) {
+      throw new Error(`Unknown Spotify auth flow "${this.authFlow}". Supported flows: ${AUTH_FLOWS.join(', ')}`);
+    }
+    if (this.authFlow === 'client-secret' && !clientSecret) {
+      throw new Error('The client-secret auth flow needs a Spotify client secret');
+    }
     this.rateLimitDelay = 0; // Track current rate limit delay
   }
 
+  /**
+   * Create a client for one user, with the same app settings as this one
+   * @param {Object} credentials - accessToken, refreshToken, userId and expiresAt (all optional, e.g. before login)
+   * @param {Object} options - Client options, see the constructor (the auth flow and market are inherited)
+   * @returns {SpotifyAPI} New client bound to the credentials
+   */
+  withCredentials(credentials = {}, options = {}) {
+    return new SpotifyAPI(this.clientId, this.clientSecret, this.redirectUri, credentials, { authFlow: this.authFlow, market: this.market, ...options });
+  }
+
+  /**
+   * Whether logins use PKCE rather than the client secret
+   * @returns {boolean} Whether the PKCE flow is used
+   */
+  usesPkce() {
+    return this.authFlow === 'pkce';
+  }
+
+  /**
+   * Get the client authentication for token requests: a Basic header with the client
+   * secret, or just the client ID in the body for PKCE
+   * @returns {{headers: Object, params: Object}} Extra headers and body parameters
+   */
+  getTokenRequestAuth() {
+    if (this.usesPkce()) {
+      return { headers: {}, params: { client_id: this.clientId } };
+    }
+
+    return {
+      headers: { 'Authorization': `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}` },
+      params: {}
+    };
+  }
+
+  /**
+   * Store the tokens from a token endpoint response
+   * @param {Object} tokenData - Response with access_token, expires_in and optionally refresh_token
+   */
+  setTokens(tokenData) {
+    this.accessToken = tokenData.access_token;
+    // Spotify may rotate the refresh token; otherwise the current one stays valid
+    if (tokenData.refresh_token) {
+      this.refreshToken = tokenData.refresh_token;
+    }
+    this.expiresAt = tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null;
+  }
+
+  /**
+   * Whether the access token has expired or is about to
+   * @param {number} marginMs - Treat tokens expiring within this long as expired
+   * @returns {boolean} Whether the token needs refreshing (false when the expiry is unknown)
+   */
+  isTokenExpired(marginMs = 60 * 1000) {
+    return Boolean(this.expiresAt) && Date.now() >= this.expiresAt - marginMs;
+  }
+
+  /**
+   * Get a new access token using the refresh token. Concurrent calls with the same refresh
+   * token share one refresh, across clients, and only the client that made the refresh
+   * calls onTokenRefresh; the others just take the new tokens.
+   * @returns {Promise<Object>} The new accessToken, refreshToken and expiresAt
+   */
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      throw new Error('No refresh token available. Please authenticate again.');
+    }
+
+    const refreshToken = this.refreshToken;
+    const pending = pendingRefreshes.get(refreshToken);
+    if (pending) {
+      const tokens = await pending;
+      this.accessToken = tokens.accessToken;
+      this.refreshToken = tokens.refreshToken;
+      this.expiresAt = tokens.expiresAt;
+      return tokens;
+    }
+
+    const refreshing = (async () => {
+      try {
+        const auth = this.getTokenRequestAuth();
+        const response = await axios.post(`${this.accountsURL}/api/token`,
+          new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            ...auth.params
+          }),
+          {
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded',
+              ...auth.headers
+            }
+          }
+        );
+
+        this.setTokens(response.data);
+        console.log('✅ Spotify token refreshed successfully');
+
+        const tokens = { accessToken: this.accessToken, refreshToken: this.refreshToken, expiresAt: this.expiresAt };
+        if (this.onTokenRefresh) {
+          await this.onTokenRefresh(tokens);
+        }
+        return tokens;
+      } catch (error) {
+        console.error('❌ Error refreshing Spotify token:', error.response?.data || error.message);
+        throw error;
+      }
+    })();
+
+    pendingRefreshes.set(refreshToken, refreshing);
+    // Keep a successful refresh around for requests that loaded the session before it was saved
+    refreshing.then(
+      () => setTimeout(() => pendingRefreshes.delete(refreshToken), REFRESH_REUSE_MS).unref(),
+      () => pendingRefreshes.delete(refreshToken)
+    );
+
+    return refreshing;
+  }
+
+  /**
+   * Refresh the access token if it has expired or is about to
+   * @returns {Promise<void>}
+   */
+  async ensureFreshToken() {
+    if (this.refreshToken && this.isTokenExpired()) {
+      console.log('🔄 Refreshing Spotify token (proactive refresh)...');
+      await this.refreshAccessToken();
+    }
+  }
+
   /**
    * Handle rate limiting with exponential backoff
    * @param {number} retryAfter - Seconds to wait from Retry-After header
@@ -37,13 +249,17 @@ export class SpotifyAPI {
   }
 
   /**
-   * Make a request with rate limit handling and retry logic
-   * @param {Function} requestFn - Function that makes the actual request
-   * @param {number} maxRetries - Maximum number of retries
+   * Make a request with rate limit handling and retry logic. The access token is
+   * refreshed first if it is about to expire, and once more if the request gets a 401.
+   * @param {Function} requestFn - Function that makes the actual request (it must read headers from getHeaders each call)
+   * @param {number} maxRetries - Maximum number of retries for rate limits and server errors
    * @returns {Promise<any>} Request response
    */
   async makeRequestWithRetry(requestFn, maxRetries = 5) {
     let lastError;
+    let refreshed = false;
+    
+    await this.ensureFreshToken();
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
@@ -52,7 +268,13 @@ export class SpotifyAPI {
       } catch (error) {
         lastError = error;
         
-        if (error.response?.status === 429) {
+        if (error.response?.status === 401 && this.refreshToken && !refreshed) {
+          console.log('🔑 Access token rejected (401), refreshing and retrying...');
+          await this.refreshAccessToken();
+          refreshed = true;
+          attempt--; // The retry after a refresh doesn't count towards maxRetries
+          continue;
+        } else if (error.response?.status === 429) {
           const retryAfter = error.response.headers['retry-after'];
           const retryAfterSeconds = retryAfter ? parseInt(retryAfter) : null;
           
@@ -82,21 +304,25 @@ export class SpotifyAPI {
 
   /**
    * Get authorization URL for user to authenticate
-   * @param {Array} scopes - Array of Spotify scopes
+   * @param {Object} options - Authorization options
+   * @param {string} options.state - Random value echoed back to the callback, to reject forged logins
+   * @param {string} options.codeChallenge - PKCE code challenge (required for the PKCE flow)
+   * @param {Array} options.scopes - Array of Spotify scopes
    * @returns {string} Authorization URL
    */
-  getAuthorizationURL(scopes = [
-    'playlist-modify-public',
-    'playlist-modify-private',
-    'user-read-private',
-    'user-read-email'
-  ]) {
+  getAuthorizationURL({ state, codeChallenge, scopes = SPOTIFY_SCOPES } = {}) {
+    if (this.usesPkce() && !codeChallenge) {
+      throw new Error('The PKCE flow needs a code challenge');
+    }
+
     const params = new URLSearchParams({
       client_id: this.clientId,
       response_type: 'code',
       redirect_uri: this.redirectUri,
       scope: scopes.join(' '),
-      show_dialog: 'true'
+      show_dialog: 'true',
+      ...(state ? { state } : {}),
+      ...(this.usesPkce() ? { code_challenge_method: 'S256', code_challenge: codeChallenge } : {})
     });
 
     return `${this.accountsURL}/authorize?${params.toString()}`;
@@ -105,17 +331,22 @@ export class SpotifyAPI {
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from callback
+   * @param {string} codeVerifier - PKCE code verifier created with the login's challenge (PKCE flow only)
    * @returns {Promise<Object>} Token response
    */
-  async exchangeCodeForToken(code) {
+  async exchangeCodeForToken(code, codeVerifier) {
     try {
+      if (this.usesPkce() && !codeVerifier) {
+        throw new Error('The PKCE flow needs the code verifier from the login');
+      }
+
       const response = await axios.post(`${this.accountsURL}/api/token`, 
         new URLSearchParams({
           grant_type: 'authorization_code',
           code: code,
           redirect_uri: this.redirectUri,
           client_id: this.clientId,
-          client_secret: this.clientSecret
+          ...(this.usesPkce() ? { code_verifier: codeVerifier } : { client_secret: this.clientSecret })
         }),
         {
           headers: {
@@ -124,8 +355,7 @@ export class SpotifyAPI {
         }
       );
 
-      this.accessToken = response.data.access_token;
-      this.refreshToken = response.data.refresh_token;
+      this.setTokens(response.data);
       
       console.log('✅ Successfully authenticated with Spotify');
       return response.data;
@@ -154,7 +384,7 @@ export class SpotifyAPI {
         }
       );
 
-      this.accessToken = response.data.access_token;
+      this.setTokens(response.data);
       console.log('✅ Successfully authenticated with Spotify (Client Credentials)');
       return this.accessToken;
     } catch (error) {
@@ -184,8 +414,10 @@ export class SpotifyAPI {
    */
   async getCurrentUser() {
     try {
-      const response = await axios.get(`${this.baseURL}/me`, {
-        headers: this.getHeaders()
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/me`, {
+          headers: this.getHeaders()
+        });
       });
 
       this.userId = response.data.id;
@@ -198,56 +430,79 @@ export class SpotifyAPI {
   }
 
   /**
-   * Enhance search query to exclude common alternative versions
-   * @param {string} query - Original search query
-   * @returns {string} Enhanced query with exclusions
+   * Convert a Spotify track object into the shape used throughout the app. Tracks
+   * looked up for a market carry their playability there; a relinked track has the
+   * ID and URI of the playable version, with the one originally found in linked_from.
+   * @param {Object} track - Full track object from the Spotify API
+   * @returns {Object} Track data
    */
-  enhanceSearchQuery(query) {
-    // Extract track name from the query to check if it naturally contains exclusion terms
-    const trackMatch = query.match(/track:"([^"]*)"/);
-    const trackName = trackMatch ? trackMatch[1].toLowerCase() : '';
-    
-    // Only add exclusions if the track name doesn't naturally contain those terms
-    const exclusions = [];
-    
-    // Live versions
-    if (!trackName.includes('live') && !trackName.includes('concert')) {
-      exclusions.push('NOT live', 'NOT concert');
-    }
-    
-    // Acoustic versions
-    if (!trackName.includes('acoustic') && !trackName.includes('unplugged')) {
-      exclusions.push('NOT acoustic', 'NOT unplugged');
-    }
-    
-    // Remixes and versions
-    if (!trackName.includes('remix') && !trackName.includes('mix') && 
-        !trackName.includes('version') && !trackName.includes('edit')) {
-      exclusions.push('NOT remix', 'NOT mix', 'NOT version', 'NOT edit');
-    }
-    
-    // Radio and extended versions
-    if (!trackName.includes('radio') && !trackName.includes('extended') && 
-        !trackName.includes('club')) {
-      exclusions.push('NOT radio', 'NOT extended', 'NOT club');
-    }
-    
-    // Party versions
-    if (!trackName.includes('party')) {
-      exclusions.push('NOT party');
-    }
-    
-    // Covers and tributes
-    if (!trackName.includes('cover') && !trackName.includes('tribute')) {
-      exclusions.push('NOT cover', 'NOT tribute');
-    }
-    
-    // Karaoke and instrumental
-    if (!trackName.includes('karaoke') && !trackName.includes('instrumental')) {
-      exclusions.push('NOT karaoke', 'NOT instrumental');
-    }
-    
-    return exclusions.length > 0 ? `${query} ${exclusions.join(' ')}` : query;
+  formatTrack(track) {
+    return {
+      id: track.id,
+      uri: track.uri,
+      name: track.name,
+      artist: track.artists[0].name,
+      artists: track.artists.map(a => a.name),
+      album: track.album.name,
+      album_artwork: track.album.images?.[0]?.url,
+      duration_ms: track.duration_ms,
+      preview_url: track.preview_url,
+      external_urls: track.external_urls,
+      popularity: track.popularity,
+      explicit: track.explicit,
+      album_release_date: track.album.release_date,
+      album_type: track.album.album_type,
+      isrc: track.external_ids?.isrc,
+      market: this.market,
+      is_playable: track.is_playable !== false,
+      unavailable_reason: track.restrictions?.reason || null,
+      linked_from: track.linked_from?.id || null
+    };
+  }
+
+  /**
+   * Convert a Spotify album object into the same shape as a track match, so album
+   * charts can reuse the match selection UI
+   * @param {Object} album - Album object from the Spotify API
+   * @returns {Object} Album data
+   */
+  formatAlbum(album) {
+    return {
+      id: album.id,
+      uri: album.uri,
+      type: 'album',
+      name: album.name,
+      artist: album.artists[0].name,
+      artists: album.artists.map(a => a.name),
+      album: album.name,
+      album_artwork: album.images?.[0]?.url,
+      external_urls: album.external_urls,
+      total_tracks: album.total_tracks,
+      album_release_date: album.release_date,
+      album_type: album.album_type
+    };
+  }
+
+  /**
+   * Run a single track search on Spotify
+   * @param {string} query - Search query
+   * @param {number} limit - Number of results to return
+   * @returns {Promise<Array>} Array of track data (empty if nothing was found)
+   */
+  async searchTrackQuery(query, limit = 5) {
+    const response = await this.makeRequestWithRetry(async () => {
+      return await axios.get(`${this.baseURL}/search`, {
+        headers: this.getHeaders(),
+        params: {
+          q: query,
+          type: 'track',
+          limit: limit,
+          market: this.market
+        }
+      });
+    });
+
+    return response.data.tracks.items.filter(Boolean).map(track => this.formatTrack(track));
   }
 
   /**
@@ -259,76 +514,24 @@ export class SpotifyAPI {
   async searchTracks(query, limit = 5) {
     try {
       // Enhance query to exclude common alternative versions
-      const enhancedQuery = this.enhanceSearchQuery(query);
+      const enhancedQuery = enhanceSearchQuery(query);
       
       // Try enhanced query first with retry logic
-      const enhancedResponse = await this.makeRequestWithRetry(async () => {
-        return await axios.get(`${this.baseURL}/search`, {
-          headers: this.getHeaders(),
-          params: {
-            q: enhancedQuery,
-            type: 'track',
-            limit: limit
-          }
-        });
-      });
-
-      let tracks = enhancedResponse.data.tracks.items;
+      let tracks = await this.searchTrackQuery(enhancedQuery, limit);
       
       // If we have good results, return them
       if (tracks.length > 0) {
         console.log(`🎵 Found ${tracks.length} results for: ${enhancedQuery}`);
-        return tracks.map(track => ({
-          id: track.id,
-          uri: track.uri,
-          name: track.name,
-          artist: track.artists[0].name,
-          artists: track.artists.map(a => a.name),
-          album: track.album.name,
-          album_artwork: track.album.images?.[0]?.url,
-          duration_ms: track.duration_ms,
-          preview_url: track.preview_url,
-          external_urls: track.external_urls,
-          popularity: track.popularity,
-          explicit: track.explicit,
-          album_release_date: track.album.release_date,
-          album_type: track.album.album_type
-        }));
+        return tracks;
       }
 
       // If no results with enhanced query, try original query as fallback with retry logic
       console.log(`🔄 No results with enhanced query, trying original query: ${query}`);
       
-      const fallbackResponse = await this.makeRequestWithRetry(async () => {
-        return await axios.get(`${this.baseURL}/search`, {
-          headers: this.getHeaders(),
-          params: {
-            q: query,
-            type: 'track',
-            limit: limit
-          }
-        });
-      });
-
-      tracks = fallbackResponse.data.tracks.items;
+      tracks = await this.searchTrackQuery(query, limit);
       if (tracks.length > 0) {
         console.log(`🎵 Found ${tracks.length} results with fallback search`);
-        return tracks.map(track => ({
-          id: track.id,
-          uri: track.uri,
-          name: track.name,
-          artist: track.artists[0].name,
-          artists: track.artists.map(a => a.name),
-          album: track.album.name,
-          album_artwork: track.album.images?.[0]?.url,
-          duration_ms: track.duration_ms,
-          preview_url: track.preview_url,
-          external_urls: track.external_urls,
-          popularity: track.popularity,
-          explicit: track.explicit,
-          album_release_date: track.album.release_date,
-          album_type: track.album.album_type
-        }));
+        return tracks;
       }
 
       console.log(`❌ No results found for: ${query}`);
@@ -340,168 +543,357 @@ export class SpotifyAPI {
   }
 
   /**
-   * Select the best match from multiple Spotify results
-   * @param {Array} tracks - Array of track objects from search
-   * @param {string} originalTitle - Original track title from chart
-   * @param {string} originalArtist - Original artist from chart
-   * @returns {number} Index of the best match
+   * Search for a chart entry by walking a ladder of search strategies (see searchLadder.js).
+   * The ladder stops at the first step whose results are rated good enough; when none
+   * are, the best-rated results are returned.
+   * @param {Object} entry - Chart entry with title, artist and searchQuery
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Number of results to return
+   * @param {Array<string>} options.ladder - Strategy IDs to try, in order
+   * @param {Function} options.rateResults - Rates a step's results from 0 to 1 (default: any results rate 1)
+   * @param {number} options.goodEnough - Rating at which the ladder stops
+   * @returns {Promise<{tracks: Array, strategy: string|null, query: string|null}>}
+   *   Results (each marked with its searchStrategy), and the strategy and query that found them
    */
-  selectBestMatch(tracks, originalTitle, originalArtist) {
-    if (!tracks || tracks.length === 0) return 0;
-    if (tracks.length === 1) return 0;
+  async searchTracksWithFallbacks(entry, { limit = 5, ladder = DEFAULT_SEARCH_LADDER, rateResults = () => 1, goodEnough = 1 } = {}) {
+    const triedQueries = new Set();
+    let best = { tracks: [], strategy: null, query: null, rating: -1 };
 
-    console.log(`🎯 Selecting best match for "${originalTitle}" by ${originalArtist} from ${tracks.length} options`);
+    for (const strategyId of ladder) {
+      const strategy = SEARCH_STRATEGIES[strategyId];
+      const query = strategy.buildQuery(entry);
 
-    const scoredTracks = tracks.map((track, index) => {
-      let score = 0;
+      // Steps often produce the same query for simple titles
+      if (!query || triedQueries.has(query)) continue;
+      triedQueries.add(query);
 
-      // Popularity score (0-100, higher is better)
-      score += track.popularity || 0;
+      try {
+        let tracks = await this.searchTrackQuery(query, strategy.limit || limit);
+        if (strategy.filter) {
+          tracks = tracks.filter(track => strategy.filter(track, entry));
+        }
+        tracks = tracks.slice(0, limit).map(track => ({ ...track, searchStrategy: strategyId }));
 
-      // Title similarity bonus
-      const titleSimilarity = this.calculateSimilarity(originalTitle.toLowerCase(), track.name.toLowerCase());
-      score += titleSimilarity * 20; // Up to 20 points for title match
+        if (tracks.length === 0) {
+          console.log(`🔄 No results with the ${strategyId} search: ${query}`);
+          continue;
+        }
 
-      // Artist similarity bonus
-      const artistSimilarity = this.calculateSimilarity(originalArtist.toLowerCase(), track.artist.toLowerCase());
-      score += artistSimilarity * 15; // Up to 15 points for artist match
+        const rating = rateResults(tracks);
+        if (rating > best.rating) {
+          best = { tracks, strategy: strategyId, query, rating };
+        }
 
-      // Prefer studio albums over compilations/live albums
-      if (track.album_type === 'album') {
-        score += 10;
-      } else if (track.album_type === 'single') {
-        score += 5;
+        if (rating >= goodEnough) {
+          console.log(`🎵 Found ${tracks.length} results with the ${strategyId} search: ${query}`);
+          break;
+        }
+      } catch (error) {
+        console.error(`❌ Error in ${strategyId} search for "${query}":`, error.response?.data || error.message);
       }
+    }
 
-      // Prefer non-explicit versions (for chart music)
-      if (!track.explicit) {
-        score += 5;
-      }
+    if (best.tracks.length === 0) {
+      console.log(`❌ No results found for: ${entry.title} by ${entry.artist}`);
+    }
 
-      // Prefer more recent releases (within reason)
-      if (track.album_release_date) {
-        const releaseYear = parseInt(track.album_release_date.split('-')[0]);
-        const currentYear = new Date().getFullYear();
-        if (releaseYear >= currentYear - 10) { // Within last 10 years
-          score += 3;
-        }
-      }
+    const { rating, ...result } = best;
+    return result;
+  }
 
-      // Heavy penalties for alternative versions (heuristic)
-      const titleLower = track.name.toLowerCase();
-      const artistLower = track.artist.toLowerCase();
-      const albumLower = track.album?.toLowerCase() || '';
-      
-      // Heavy penalty for live versions
-      if (titleLower.includes('live') || titleLower.includes('concert') || 
-          titleLower.includes('acoustic') || titleLower.includes('unplugged') ||
-          albumLower.includes('live') || albumLower.includes('concert') ||
-          albumLower.includes('acoustic') || albumLower.includes('unplugged')) {
-        score -= 50;
-      }
+  /**
+   * Search for albums on Spotify
+   * @param {string} query - Search query (e.g. album:"TITLE" artist:"ARTIST")
+   * @param {number} limit - Number of results to return
+   * @returns {Promise<Array>} Array of album data or empty array if not found
+   */
+  async searchAlbums(query, limit = 5) {
+    try {
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/search`, {
+          headers: this.getHeaders(),
+          params: {
+            q: query,
+            type: 'album',
+            limit: limit,
+            market: this.market
+          }
+        });
+      });
+
+      const albums = response.data.albums.items.filter(Boolean);
       
-      // Heavy penalty for remixes and alternative versions
-      if (titleLower.includes('remix') || titleLower.includes('mix') || 
-          titleLower.includes('version') || titleLower.includes('edit') ||
-          titleLower.includes('radio') || titleLower.includes('single') ||
-          titleLower.includes('extended') || titleLower.includes('club')) {
-        score -= 40;
+      if (albums.length > 0) {
+        console.log(`💿 Found ${albums.length} albums for: ${query}`);
+      } else {
+        console.log(`❌ No albums found for: ${query}`);
       }
       
-      // Heavy penalty for covers, tributes, and karaoke
-      if (titleLower.includes('cover') || titleLower.includes('tribute') || 
-          titleLower.includes('karaoke') || titleLower.includes('instrumental') ||
-          artistLower.includes('cover') || artistLower.includes('tribute')) {
-        score -= 50;
-      }
+      return albums.map(album => this.formatAlbum(album));
+    } catch (error) {
+      console.error(`❌ Error searching albums for "${query}":`, error.response?.data || error.message);
+      return [];
+    }
+  }
 
-      // Penalty for party/dance versions
-      if (titleLower.includes('party') || titleLower.includes('dance') || 
-          titleLower.includes('club') || titleLower.includes('night')) {
-        score -= 30;
-      }
+  /**
+   * Get all tracks on an album, in album order
+   * @param {string} albumId - Spotify album ID
+   * @returns {Promise<Array>} Array of simplified track objects (no popularity)
+   */
+  async getAlbumTracks(albumId) {
+    try {
+      const tracks = [];
+      let offset = 0;
+      const limit = 50;
+      let total = Infinity;
       
-      // Penalty for compilation albums (prefer original releases)
-      if (albumLower.includes('greatest hits') || albumLower.includes('best of') ||
-          albumLower.includes('collection') || albumLower.includes('anthology') ||
-          albumLower.includes('compilation') || albumLower.includes('hits')) {
-        score -= 25;
+      while (offset < total) {
+        const response = await this.makeRequestWithRetry(async () => {
+          return await axios.get(`${this.baseURL}/albums/${albumId}/tracks`, {
+            headers: this.getHeaders(),
+            params: { limit, offset, market: this.market }
+          });
+        });
+        
+        total = response.data.total;
+        tracks.push(...response.data.items.map(track => ({
+          id: track.id,
+          uri: track.uri,
+          name: track.name,
+          artist: track.artists[0]?.name,
+          artists: track.artists.map(a => a.name),
+          track_number: track.track_number,
+          disc_number: track.disc_number,
+          duration_ms: track.duration_ms,
+          explicit: track.explicit,
+          is_playable: track.is_playable !== false,
+          linked_from: track.linked_from?.id || null
+        })));
+        offset += limit;
       }
       
-      // Bonus for original studio albums
-      if (track.album_type === 'album' && !albumLower.includes('greatest') && 
-          !albumLower.includes('best of') && !albumLower.includes('collection') &&
-          !albumLower.includes('anthology') && !albumLower.includes('compilation')) {
-        score += 15;
-      }
+      return tracks;
+    } catch (error) {
+      console.error(`❌ Error getting tracks for album ${albumId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
 
-      console.log(`  ${index}: "${track.name}" by ${track.artist} - Score: ${score.toFixed(1)} (Popularity: ${track.popularity})`);
+  /**
+   * Get full track details for several tracks at once
+   * @param {Array<string>} trackIds - Spotify track IDs
+   * @returns {Promise<Array>} Array of track data
+   */
+  async getTracksByIds(trackIds) {
+    const tracks = [];
+    
+    // Spotify allows max 50 tracks per request
+    for (let i = 0; i < trackIds.length; i += 50) {
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/tracks`, {
+          headers: this.getHeaders(),
+          params: { ids: trackIds.slice(i, i + 50).join(','), market: this.market }
+        });
+      });
       
-      return { index, score, track };
+      tracks.push(...response.data.tracks.filter(Boolean).map(track => this.formatTrack(track)));
+    }
+    
+    return tracks;
+  }
+
+  /**
+   * Find an artist on Spotify by name
+   * @param {string} name - Artist name
+   * @returns {Promise<{id: string, name: string}|null>} The closest-named artist, or null if none is close enough
+   */
+  async findArtist(name) {
+    const response = await this.makeRequestWithRetry(async () => {
+      return await axios.get(`${this.baseURL}/search`, {
+        headers: this.getHeaders(),
+        params: {
+          q: `artist:"${name.replace(/"/g, '')}"`,
+          type: 'artist',
+          limit: 5
+        }
+      });
     });
 
-    // Sort by score (highest first)
-    scoredTracks.sort((a, b) => b.score - a.score);
-    
-    const bestMatch = scoredTracks[0];
-    console.log(`✅ Selected: "${bestMatch.track.name}" by ${bestMatch.track.artist} (Score: ${bestMatch.score.toFixed(1)})`);
-    
-    return bestMatch.index;
+    const best = response.data.artists.items
+      .filter(Boolean)
+      .map(artist => ({ id: artist.id, name: artist.name, similarity: calculateSimilarity(name, artist.name) }))
+      .reduce((closest, artist) => !closest || artist.similarity > closest.similarity ? artist : closest, null);
+
+    return best && best.similarity >= CATALOGUE_ARTIST_SIMILARITY ? { id: best.id, name: best.name } : null;
   }
 
   /**
-   * Calculate string similarity using simple character overlap
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} Similarity score between 0 and 1
+   * Get an artist's albums and singles
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Promise<Array<{id: string, name: string, album_type: string, release_date: string}>>} Releases
    */
-  calculateSimilarity(str1, str2) {
-    // Remove common words and clean up
-    const clean1 = str1.replace(/\b(the|a|an|and|or|but|in|on|at|to|for|of|with|by)\b/g, '').trim();
-    const clean2 = str2.replace(/\b(the|a|an|and|or|but|in|on|at|to|for|of|with|by)\b/g, '').trim();
-    
-    // Simple character overlap calculation
-    const longer = clean1.length > clean2.length ? clean1 : clean2;
-    const shorter = clean1.length > clean2.length ? clean2 : clean1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  async getArtistReleases(artistId) {
+    const releases = [];
+    let url = `${this.baseURL}/artists/${artistId}/albums`;
+    let params = { include_groups: 'album,single', limit: 50, market: this.market };
+
+    // Prolific artists can have hundreds of releases; a few pages is plenty to search
+    while (url && releases.length < 200) {
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(url, { headers: this.getHeaders(), params });
+      });
+
+      releases.push(...response.data.items.filter(Boolean).map(album => ({
+        id: album.id,
+        name: album.name,
+        album_type: album.album_type,
+        release_date: album.release_date
+      })));
+      url = response.data.next;
+      params = undefined; // The next URL carries its own query
+    }
+
+    return releases;
+  }
+
+  /**
+   * Look for a chart entry in its artist's catalogue, the way a person would when
+   * search fails: resolve the lead artist, walk their albums and singles from around
+   * the chart year, and fuzzy-match the title against their tracks.
+   * @param {Object} entry - Chart entry with title and artist
+   * @param {Object} options - Search options
+   * @param {number} options.chartYear - Year of the chart; releases nearest to it are searched first
+   * @param {number} options.limit - Number of tracks to return
+   * @returns {Promise<{tracks: Array, artist: Object|null}>} Matching tracks (each marked with
+   *   searchStrategy 'artist-catalogue'), best title match first, and the artist searched
+   */
+  async searchArtistCatalogue(entry, { chartYear = null, limit = 5 } = {}) {
+    try {
+      const artistName = splitArtists(entry.artist).leadArtists[0] || entry.artist;
+      const artist = await this.findArtist(artistName);
+      if (!artist) {
+        console.log(`❌ No artist found for catalogue search: ${artistName}`);
+        return { tracks: [], artist: null };
+      }
+
+      // Releases from the chart year or shortly before come first; without a year, the newest do
+      const distance = (release) => {
+        const year = parseInt(release.release_date) || 0;
+        if (!chartYear) return -year;
+        return year > chartYear ? (year - chartYear) * 2 : chartYear - year;
+      };
+      const releases = (await this.getArtistReleases(artist.id))
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, CATALOGUE_MAX_RELEASES);
+
+      console.log(`📚 Searching ${releases.length} releases by ${artist.name} for "${entry.title}"`);
+
+      const found = new Map(); // Matching tracks by ID
+      for (let i = 0; i < releases.length; i += 20) {
+        const response = await this.makeRequestWithRetry(async () => {
+          return await axios.get(`${this.baseURL}/albums`, {
+            headers: this.getHeaders(),
+            params: { ids: releases.slice(i, i + 20).map(release => release.id).join(','), market: this.market }
+          });
+        });
+
+        response.data.albums.filter(Boolean).forEach(album => {
+          album.tracks.items.filter(Boolean).forEach(track => {
+            const similarity = compareTitles(entry.title, track.name);
+            if (similarity >= CATALOGUE_TITLE_SIMILARITY) {
+              found.set(track.id, { id: track.id, similarity, releaseDate: album.release_date || '' });
+            }
+          });
+        });
+      }
+
+      // Best title matches first, and the earliest release of each; scoring then groups
+      // the releases of one recording by ISRC
+      const ids = [...found.values()]
+        .sort((a, b) => b.similarity - a.similarity || a.releaseDate.localeCompare(b.releaseDate))
+        .slice(0, limit)
+        .map(match => match.id);
+      const tracks = ids.length > 0 ? await this.getTracksByIds(ids) : [];
+
+      console.log(`📚 Found ${tracks.length} catalogue matches for "${entry.title}" by ${artist.name}`);
+      return { tracks: tracks.map(track => ({ ...track, searchStrategy: 'artist-catalogue' })), artist };
+    } catch (error) {
+      console.error(`❌ Error searching the catalogue for "${entry.title}":`, error.response?.data || error.message);
+      return { tracks: [], artist: null };
+    }
   }
 
   /**
-   * Calculate Levenshtein distance between two strings
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} Edit distance
+   * Find clean versions of an explicit track: non-explicit tracks by the same artist
+   * with the same title, such as the clean edit of the album or single
+   * @param {Object} track - Explicit track, as returned by formatTrack
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Number of tracks to return
+   * @returns {Promise<Array>} Clean tracks, each marked with searchStrategy 'clean-version'
    */
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
+  async findCleanVersions(track, { limit = 5 } = {}) {
+    try {
+      const query = `track:"${track.name.replace(/"/g, '')}" artist:"${track.artist.replace(/"/g, '')}"`;
+      const results = await this.searchTrackQuery(query, 20);
+
+      const cleanTracks = results
+        .filter(result => !result.explicit && result.id !== track.id)
+        .filter(result => result.artists.some(artist => calculateSimilarity(artist, track.artist) >= CATALOGUE_ARTIST_SIMILARITY))
+        .filter(result => compareTitles(track.name, result.name) >= CLEAN_VERSION_TITLE_SIMILARITY)
+        .slice(0, limit);
+
+      console.log(cleanTracks.length > 0 ?
+        `🧼 Found ${cleanTracks.length} clean versions of "${track.name}" by ${track.artist}` :
+        `🧼 No clean version of "${track.name}" by ${track.artist}`);
+      return cleanTracks.map(result => ({ ...result, searchStrategy: 'clean-version' }));
+    } catch (error) {
+      console.error(`❌ Error finding a clean version of "${track.name}":`, error.response?.data || error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Pick the tracks from an album to add to a playlist
+   * @param {string} albumId - Spotify album ID
+   * @param {string} mode - 'full' for the whole album, 'popular' for its most popular track, 'first' for the first N tracks
+   * @param {number} count - Number of tracks to take in 'first' mode
+   * @param {boolean} cleanOnly - Leave out explicit tracks
+   * @returns {Promise<Array<string>>} Array of track URIs
+   */
+  async getAlbumPlaylistTracks(albumId, mode = 'full', count = 3, cleanOnly = false) {
+    // Tracks greyed out in the market would only be skipped by the player
+    const albumTracks = await this.getAlbumTracks(albumId);
+    let tracks = albumTracks.filter(track => track.is_playable);
+    if (tracks.length < albumTracks.length) {
+      console.log(`⚠️ Skipping ${albumTracks.length - tracks.length} tracks on album ${albumId} unavailable in ${this.market}`);
+    }
     
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
+    if (cleanOnly) {
+      const playable = tracks.length;
+      tracks = tracks.filter(track => !track.explicit);
+      if (tracks.length < playable) {
+        console.log(`🧼 Skipping ${playable - tracks.length} explicit tracks on album ${albumId}`);
+      }
     }
     
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
+    if (mode === 'first') {
+      return tracks.slice(0, Math.max(1, count)).map(track => track.uri);
     }
     
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
+    if (mode === 'popular') {
+      // Album track listings don't include popularity, so look the tracks up
+      const fullTracks = await this.getTracksByIds(tracks.map(track => track.id));
+      if (fullTracks.length === 0) return [];
+      
+      const mostPopular = fullTracks.reduce((best, track) => 
+        (track.popularity || 0) > (best.popularity || 0) ? track : best
+      );
+      console.log(`🔥 Most popular track on album ${albumId}: ${mostPopular.name}`);
+      return [mostPopular.uri];
     }
     
-    return matrix[str2.length][str1.length];
+    return tracks.map(track => track.uri);
   }
 
   /**
@@ -517,13 +909,16 @@ export class SpotifyAPI {
         await this.getCurrentUser();
       }
 
-      const response = await axios.post(`${this.baseURL}/users/${this.userId}/playlists`, {
-        name,
-        description,
-        public: isPublic
-      }, {
-        headers: this.getHeaders()
-      });
+      // A single attempt, so a slow server error can't create the playlist twice (401s are still retried)
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.post(`${this.baseURL}/users/${this.userId}/playlists`, {
+          name,
+          description,
+          public: isPublic
+        }, {
+          headers: this.getHeaders()
+        });
+      }, 1);
 
       const playlistId = response.data.id;
       console.log(`✅ Created playlist: ${name} (ID: ${playlistId})`);
@@ -555,11 +950,13 @@ export class SpotifyAPI {
 
       let totalAdded = 0;
       for (const chunk of chunks) {
-        const response = await axios.post(`${this.baseURL}/playlists/${playlistId}/tracks`, {
-          uris: chunk
-        }, {
-          headers: this.getHeaders()
-        });
+        const response = await this.makeRequestWithRetry(async () => {
+          return await axios.post(`${this.baseURL}/playlists/${playlistId}/tracks`, {
+            uris: chunk
+          }, {
+            headers: this.getHeaders()
+          });
+        }, 1);
         totalAdded += chunk.length;
       }
 
@@ -574,17 +971,14 @@ export class SpotifyAPI {
   /**
    * Get playlist information
    * @param {string} playlistId - Playlist ID
-   * @param {string} accessToken - Access token (optional, uses instance token if not provided)
    * @returns {Promise<Object>} Playlist data
    */
-  async getPlaylist(playlistId, accessToken = null) {
+  async getPlaylist(playlistId) {
     try {
-      const headers = accessToken ? 
-        { 'Authorization': `Bearer ${accessToken}` } : 
-        this.getHeaders();
-        
-      const response = await axios.get(`${this.baseURL}/playlists/${playlistId}`, {
-        headers
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/playlists/${playlistId}`, {
+          headers: this.getHeaders()
+        });
       });
 
       return response.data;
@@ -597,23 +991,20 @@ export class SpotifyAPI {
   /**
    * Search for playlists (searches all public playlists)
    * @param {string} query - Search query
-   * @param {string} accessToken - Access token (optional, uses instance token if not provided)
    * @param {number} limit - Number of results to return
    * @returns {Promise<Array>} Array of playlists
    */
-  async searchPlaylists(query, accessToken = null, limit = 20) {
+  async searchPlaylists(query, limit = 20) {
     try {
-      const headers = accessToken ? 
-        { 'Authorization': `Bearer ${accessToken}` } : 
-        this.getHeaders();
-        
-      const response = await axios.get(`${this.baseURL}/search`, {
-        headers,
-        params: {
-          q: query,
-          type: 'playlist',
-          limit: limit
-        }
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/search`, {
+          headers: this.getHeaders(),
+          params: {
+            q: query,
+            type: 'playlist',
+            limit: limit
+          }
+        });
       });
 
       return response.data.playlists.items;
@@ -625,20 +1016,15 @@ export class SpotifyAPI {
 
   /**
    * Get current user's playlists
-   * @param {string} accessToken - Access token (optional, uses instance token if not provided)
    * @param {number} limit - Number of results to return
    * @param {number} offset - Offset for pagination
    * @returns {Promise<Array>} Array of user's playlists
    */
-  async getUserPlaylists(accessToken = null, limit = 50, offset = 0) {
+  async getUserPlaylists(limit = 50, offset = 0) {
     try {
-      const headers = accessToken ? 
-        { 'Authorization': `Bearer ${accessToken}` } : 
-        this.getHeaders();
-        
       const response = await this.makeRequestWithRetry(async () => {
         return await axios.get(`${this.baseURL}/me/playlists`, {
-          headers,
+          headers: this.getHeaders(),
           params: {
             limit: limit,
             offset: offset
@@ -656,17 +1042,12 @@ export class SpotifyAPI {
   /**
    * Clear all tracks from a playlist
    * @param {string} playlistId - Playlist ID
-   * @param {string} accessToken - Access token (optional, uses instance token if not provided)
    * @returns {Promise<void>}
    */
-  async clearPlaylist(playlistId, accessToken = null) {
+  async clearPlaylist(playlistId) {
     try {
-      const headers = accessToken ? 
-        { 'Authorization': `Bearer ${accessToken}` } : 
-        this.getHeaders();
-        
       // First, get all tracks in the playlist
-      const playlist = await this.getPlaylist(playlistId, accessToken);
+      const playlist = await this.getPlaylist(playlistId);
       const totalTracks = playlist.tracks.total;
       
       if (totalTracks === 0) {
@@ -680,9 +1061,11 @@ export class SpotifyAPI {
       const limit = 100;
       
       while (offset < totalTracks) {
-        const response = await axios.get(`${this.baseURL}/playlists/${playlistId}/tracks`, {
-          headers,
-          params: { limit, offset }
+        const response = await this.makeRequestWithRetry(async () => {
+          return await axios.get(`${this.baseURL}/playlists/${playlistId}/tracks`, {
+            headers: this.getHeaders(),
+            params: { limit, offset }
+          });
         });
         
         const tracks = response.data.items.map(item => ({ uri: item.track.uri }));
@@ -692,9 +1075,11 @@ export class SpotifyAPI {
       
       // Remove all tracks
       if (trackUris.length > 0) {
-        await axios.delete(`${this.baseURL}/playlists/${playlistId}/tracks`, {
-          headers,
-          data: { tracks: trackUris }
+        await this.makeRequestWithRetry(async () => {
+          return await axios.delete(`${this.baseURL}/playlists/${playlistId}/tracks`, {
+            headers: this.getHeaders(),
+            data: { tracks: trackUris }
+          });
         });
         console.log(`🗑️ Cleared ${trackUris.length} tracks from playlist`);
       }
@@ -724,8 +1109,8 @@ export class SpotifyAPI {
       
       if (tracks && tracks.length > 0) {
         // Use smart selection to pick the best match
-        const bestMatchIndex = this.selectBestMatch(tracks, entry.title, entry.artist);
-        const selectedTrack = tracks[bestMatchIndex];
+        const { selectedMatch } = assessCandidates(tracks, { title: entry.title, artist: entry.artist, entryType: 'track' });
+        const selectedTrack = tracks[selectedMatch];
         foundTracks.push(selectedTrack.uri);
         console.log(`✅ Selected: ${selectedTrack.name} by ${selectedTrack.artist}`);
       } else {
@@ -751,63 +1136,49 @@ export class SpotifyAPI {
     return foundTracks;
   }
 
-  /**
-   * Set access token directly (for when you already have one)
-   * @param {string} token - Access token
-   */
-  setAccessToken(token) {
-    this.accessToken = token;
-  }
-
-  /**
-   * Set user ID directly (for when you already have it)
-   * @param {string} userId - User ID
-   */
-  setUserId(userId) {
-    this.userId = userId;
-  }
-
   /**
    * Get track details by Spotify track ID
    * @param {string} trackId - Spotify track ID
-   * @param {string} accessToken - Optional access token
    * @returns {Object|null} Track details or null if not found
    */
-  async getTrackById(trackId, accessToken = null) {
+  async getTrackById(trackId) {
     try {
-      const headers = accessToken ? 
-        { 'Authorization': `Bearer ${accessToken}` } : 
-        this.getHeaders();
-        
       console.log(`🔍 Getting track details for ID: ${trackId}`);
 
       const response = await this.makeRequestWithRetry(async () => {
         return await axios.get(`${this.baseURL}/tracks/${trackId}`, {
-          headers
+          headers: this.getHeaders(),
+          params: { market: this.market }
         });
       });
 
-      const track = response.data;
-      
-      return {
-        id: track.id,
-        uri: track.uri,
-        name: track.name,
-        artist: track.artists[0].name,
-        artists: track.artists.map(a => a.name),
-        album: track.album.name,
-        album_artwork: track.album.images?.[0]?.url,
-        duration_ms: track.duration_ms,
-        preview_url: track.preview_url,
-        external_urls: track.external_urls,
-        popularity: track.popularity,
-        explicit: track.explicit,
-        album_release_date: track.album.release_date,
-        album_type: track.album.album_type
-      };
+      return this.formatTrack(response.data);
     } catch (error) {
       console.error(`❌ Error getting track by ID ${trackId}:`, error.response?.data || error.message);
       return null;
     }
   }
+
+  /**
+   * Get album details by Spotify album ID
+   * @param {string} albumId - Spotify album ID
+   * @returns {Object|null} Album details (see formatAlbum) or null if not found
+   */
+  async getAlbumById(albumId) {
+    try {
+      console.log(`🔍 Getting album details for ID: ${albumId}`);
+
+      const response = await this.makeRequestWithRetry(async () => {
+        return await axios.get(`${this.baseURL}/albums/${albumId}`, {
+          headers: this.getHeaders(),
+          params: { market: this.market }
+        });
+      });
+
+      return this.formatAlbum(response.data);
+    } catch (error) {
+      console.error(`❌ Error getting album by ID ${albumId}:`, error.response?.data || error.message);
+      return null;
+    }
+  }
 }
@@ -0,0 +1,153 @@
+import * as cheerio from 'cheerio';
+import axios from 'axios';
+import { ChartSource } from './chartSource.js';
+import { parseChartEntry } from './chartEntryNormalizer.js';
+import { publicOnlyRequestOptions } from './urlGuard.js';
+
+/**
+ * Chart source for sites whose end-of-year charts live at predictable URLs and
+ * can be read with CSS selectors.
+ *
+ * Besides the usual chart type fields, each chart type has:
+ * - yearUrlTemplate: chart page URL with a {year} placeholder
+ * - selectors: `item` matches one element per chart entry; `title`, `artist` and the
+ *   optional `position` and `label` are looked up inside it. Without a position
+ *   selector, entries are numbered in page order.
+ */
+export class TemplateChartSource extends ChartSource {
+  /**
+   * @param {Object} options - Source details (id, name, country, cacheId, cacheable) plus:
+   * @param {Array<Object>} options.chartTypes - Chart types with yearUrlTemplate and selectors
+   * @param {boolean} options.publicOnly - Only fetch pages on public addresses (for user-supplied URLs)
+   */
+  constructor({ chartTypes, publicOnly = false, ...details }) {
+    super(details);
+    this.chartTypes = chartTypes;
+    this.publicOnly = publicOnly;
+    this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  }
+
+  /**
+   * Get the chart types this source provides
+   * @returns {Array<Object>} Chart type definitions
+   */
+  getChartTypes() {
+    return this.chartTypes;
+  }
+
+  /**
+   * Get the URL of a year's end-of-year chart
+   * @param {number} year - Chart year
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {string} Chart page URL
+   */
+  getYearChartUrl(year, chartTypeId) {
+    return this.getChartType(chartTypeId).yearUrlTemplate.replace(/\{year\}/g, year);
+  }
+
+  /**
+   * Scrape an end-of-year chart
+   * @param {number} year - Chart year
+   * @param {number} limit - Number of entries to scrape
+   * @param {string} chartTypeId - Chart type ID
+   * @returns {Promise<{tracks: Array, report: Object}>} Normalized chart entries and the scrape report
+   */
+  async getYearChartData(year, limit = 100, chartTypeId) {
+    const chartType = this.getChartType(chartTypeId);
+    const url = this.getYearChartUrl(year, chartType.id);
+
+    console.log(`🎵 Scraping ${this.name} ${chartType.chartName} for ${year}...`);
+    console.log(`📡 URL: ${url}`);
+
+    const warnings = [];
+    let entries = [];
+    let scrapeError = null;
+
+    try {
+      entries = await this.scrapeEntries(url, chartType.selectors, warnings);
+    } catch (error) {
+      console.log(`⚠️ ${this.name} scraping failed: ${error.message}`);
+      scrapeError = error;
+    }
+
+    // Chart lengths differ between sites and years, so a gap-free shorter chart counts as complete
+    const checked = this.checkChartEntries(entries, limit, { allowShortChart: true });
+    const found = checked.entries.length;
+
+    const report = {
+      url,
+      strategy: found > 0 ? 'cheerio' : null,
+      attempts: [{
+        strategy: 'cheerio',
+        success: found > 0,
+        entries: found,
+        ...(found === 0 ? { error: scrapeError ? scrapeError.message : 'No entries found' } : {}),
+        warnings: [...warnings, ...checked.warnings]
+      }],
+      expected: checked.chartLength,
+      chartLength: found > 0 ? checked.chartLength : null,
+      found,
+      complete: found > 0 && checked.missingPositions.length === 0,
+      missingPositions: found > 0 ? checked.missingPositions : [],
+      duplicatePositions: checked.duplicatePositions,
+      warnings: [...warnings, ...checked.warnings]
+    };
+
+    if (found === 0) {
+      const failure = new Error(`Live scraping failed for ${year}: ${report.attempts[0].error}`);
+      failure.report = report;
+      throw failure;
+    }
+
+    return {
+      tracks: checked.entries.map(entry => parseChartEntry(entry, chartType.parser)),
+      report
+    };
+  }
+
+  /**
+   * Read raw chart entries from a page using a chart type's selectors
+   * @param {string} url - Chart page URL
+   * @param {Object} selectors - item, title, artist and optional position and label selectors
+   * @param {Array<string>} warnings - Collects problems with individual entries
+   * @returns {Promise<Array>} Raw entries with position, title and artist
+   */
+  async scrapeEntries(url, selectors, warnings = []) {
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': this.userAgent },
+      timeout: 30000,
+      ...(this.publicOnly ? publicOnlyRequestOptions() : {})
+    });
+
+    const $ = cheerio.load(response.data);
+    const entries = [];
+
+    $(selectors.item).each((index, element) => {
+      const $element = $(element);
+      const text = (selector) => selector ? $element.find(selector).first().text().replace(/\s+/g, ' ').trim() : '';
+
+      const title = text(selectors.title);
+      const artist = text(selectors.artist);
+
+      // Header and advert rows match the item selector but have no entry
+      if (!title && !artist) return;
+
+      const positionMatch = text(selectors.position).match(/\d+/);
+      if (selectors.position && !positionMatch) {
+        warnings.push(`No position found for "${title}" - ${artist}`);
+      }
+
+      const label = text(selectors.label);
+
+      entries.push({
+        position: selectors.position ? (positionMatch ? parseInt(positionMatch[0]) : null) : entries.length + 1,
+        title,
+        artist,
+        ...(label ? { label } : {})
+      });
+    });
+
+    console.log(`Extracted ${entries.length} entries from ${this.name}`);
+    return entries;
+  }
+}
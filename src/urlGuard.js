@@ -0,0 +1,97 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+/**
+ * Guards for fetching user-supplied URLs.
+ *
+ * Custom chart sources make the server fetch pages from URLs its users choose, so
+ * those requests must not reach the server's own network: loopback, link-local
+ * (including cloud metadata at 169.254.169.254), private and other reserved
+ * addresses are refused. Host names are checked when they are resolved for the
+ * connection, so a name can't pass a check and then resolve somewhere else, and
+ * redirects go through the same checks.
+ */
+
+// Most redirects followed when fetching a user-supplied URL
+export const MAX_REDIRECTS = 3;
+
+// Address ranges that aren't on the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is public
+ */
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that a URL's host is not an IP address outside the public internet.
+ * Host names are checked when they are resolved, see publicOnlyLookup.
+ * @param {string|URL} url - URL to check
+ * @throws {Error} When the URL names a private or reserved address
+ */
+export function assertPublicHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (hostname.toLowerCase() === 'localhost' || (net.isIP(hostname) && !isPublicAddress(hostname))) {
+    throw new Error(`Refusing to fetch ${hostname}: not a public address`);
+  }
+}
+
+/**
+ * DNS lookup for outgoing connections that refuses host names resolving to
+ * non-public addresses
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called like dns.lookup's callback
+ */
+export function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`Refusing to fetch ${hostname}: it resolves to ${blocked.address}, which is not a public address`));
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Build axios request options that keep a request, and its redirects, on the public internet
+ * @returns {Object} httpAgent, httpsAgent, maxRedirects and beforeRedirect options for axios
+ */
+export function publicOnlyRequestOptions() {
+  return {
+    httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+    httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+    maxRedirects: MAX_REDIRECTS,
+    // Connections to IP addresses skip the lookup, so redirects to them are checked here
+    beforeRedirect: (options) => assertPublicHost(`${options.protocol}//${options.hostname}`)
+  };
+}
@@ -4,11 +4,20 @@ import express from 'express';
 import session from 'express-session';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { SpotifyAPI } from './src/spotifyAPI.js';
+import { SpotifyAPI, createPkcePair, DEFAULT_MARKET } from './src/spotifyAPI.js';
 import { LiveChartScraper } from './src/liveChartScraper.js';
+import { ChartCache } from './src/chartCache.js';
+import { createChartSources, createCustomChartSource, CUSTOM_CHART_SOURCE, DEFAULT_CHART_SOURCE } from './src/chartSources.js';
+import { parseChartFile, IMPORTED_CHART_SOURCE } from './src/chartImport.js';
+import { parseChartEntry } from './src/chartEntryNormalizer.js';
+import { MatchJobQueue } from './src/matchJobQueue.js';
+import { createSessionStore, loadOrCreateSessionKey } from './src/fileSessionStore.js';
+import { MatchStore } from './src/matchStore.js';
+import { assessCandidates, DEFAULT_AUTO_ACCEPT_THRESHOLD, EXPLICIT_PREFERENCES, DEFAULT_EXPLICIT_PREFERENCE } from './src/matchScoring.js';
+import { resolveSearchLadder } from './src/searchLadder.js';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fetch from 'node-fetch';
 
 // Load environment variables
 dotenv.config();
@@ -25,8 +34,16 @@ app.use(express.json());
 app.use(express.static('public'));
 
 // Session configuration
+// Sessions are kept in data/sessions.json by default so logins survive restarts (SESSION_STORE=memory to disable)
+// Without SESSION_SECRET, sessions use a random key generated once and kept in data/session.key
+const sessionSecret = process.env.SESSION_SECRET || loadOrCreateSessionKey();
+const sessionStore = createSessionStore(process.env.SESSION_STORE || 'file', {
+  secret: process.env.SESSION_ENCRYPTION_KEY || sessionSecret
+});
+
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'uk-charts-secret-key',
+  store: sessionStore,
+  secret: sessionSecret,
   resave: false,
   saveUninitialized: false,
   cookie: { 
@@ -38,15 +55,28 @@ app.use(session({
 }));
 
 // Initialize services
-const spotifyAPI = new SpotifyAPI(
+// App-level Spotify settings; requests use a client bound to their session (see getSpotifyClient)
+// Without a client secret (or with SPOTIFY_AUTH_FLOW=pkce) logins use PKCE
+const spotifyApp = new SpotifyAPI(
   process.env.SPOTIFY_CLIENT_ID,
   process.env.SPOTIFY_CLIENT_SECRET,
-  process.env.SPOTIFY_REDIRECT_URI || `http://localhost:${PORT}/callback`
+  process.env.SPOTIFY_REDIRECT_URI || `http://localhost:${PORT}/callback`,
+  {},
+  { authFlow: process.env.SPOTIFY_AUTH_FLOW || undefined }
 );
 
+// Market for track lookups: a country code, or 'user' for each logged-in user's country
+const SPOTIFY_MARKET = (process.env.SPOTIFY_MARKET || DEFAULT_MARKET).toUpperCase();
+if (SPOTIFY_MARKET !== 'USER' && !/^[A-Z]{2}$/.test(SPOTIFY_MARKET)) {
+  throw new Error(`Invalid SPOTIFY_MARKET "${process.env.SPOTIFY_MARKET}": use a two-letter country code or "user"`);
+}
+
 const yearChartScraper = new LiveChartScraper();
+const chartSources = createChartSources(yearChartScraper);
+const chartCache = new ChartCache(yearChartScraper);
+const matchStore = new MatchStore();
 
-// Middleware to refresh Spotify tokens
+// Middleware to refresh Spotify tokens before they expire
 async function refreshSpotifyTokenIfNeeded(req, res, next) {
   console.log(`🔍 User check - Session ID: ${req.sessionID}`);
   console.log(`🔍 Has access token: ${!!req.session.spotifyAccessToken}`);
@@ -54,69 +84,445 @@ async function refreshSpotifyTokenIfNeeded(req, res, next) {
   
   if (req.session.spotifyAccessToken && req.session.spotifyRefreshToken) {
     try {
-      // Check if we have a token timestamp and if it's been more than 50 minutes (tokens expire in 1 hour)
-      const now = Date.now();
-      const tokenAge = now - (req.session.tokenTimestamp || 0);
-      const tokenExpiryTime = 50 * 60 * 1000; // 50 minutes
+      // The client stores refreshed tokens back in the session (see getSpotifyClient)
+      await getSpotifyClient(req.session).ensureFreshToken();
+    } catch (error) {
+      // If refresh token is invalid/expired, clear all tokens
+      if (error.response?.status === 400 || error.response?.status === 401) {
+        console.log('🔄 Refresh token expired, clearing all tokens');
+        clearSpotifySession(req.session);
+      } else {
+        console.error('Error refreshing Spotify token:', error.message);
+      }
+    }
+  } else {
+    console.log('🔍 No tokens found in session');
+  }
+  next();
+}
+
+/**
+ * Remove the Spotify login from a session
+ * @param {Object} session - Express session
+ */
+function clearSpotifySession(session) {
+  session.spotifyAccessToken = null;
+  session.spotifyRefreshToken = null;
+  session.tokenTimestamp = null;
+  session.tokenExpiresAt = null;
+  session.spotifyUserId = null;
+  session.spotifyUser = null;
+}
+
+/**
+ * Get the market a session's track lookups are made for
+ * @param {Object} session - Express session
+ * @returns {string} Country code
+ */
+function getSessionMarket(session) {
+  if (SPOTIFY_MARKET === 'USER') {
+    return session.spotifyUser?.country || DEFAULT_MARKET;
+  }
+  return SPOTIFY_MARKET;
+}
+
+/**
+ * Create a Spotify client bound to a session's credentials
+ * @param {Object} session - Express session
+ * @returns {SpotifyAPI} Client for that session's user only
+ */
+function getSpotifyClient(session) {
+  return spotifyApp.withCredentials({
+    accessToken: session.spotifyAccessToken,
+    refreshToken: session.spotifyRefreshToken,
+    userId: session.spotifyUserId,
+    // Sessions from before expiry times were stored assume Spotify's usual one-hour tokens
+    expiresAt: session.tokenExpiresAt || (session.tokenTimestamp ? session.tokenTimestamp + 60 * 60 * 1000 : null)
+  }, {
+    market: getSessionMarket(session),
+    onTokenRefresh: (tokens) => {
+      session.spotifyAccessToken = tokens.accessToken;
+      session.spotifyRefreshToken = tokens.refreshToken;
+      session.tokenExpiresAt = tokens.expiresAt;
+      session.tokenTimestamp = Date.now();
+      
+      // Save the new token
+      session.save((err) => {
+        if (err) console.error('Session save error during refresh:', err);
+        else console.log('✅ Session saved after token refresh');
+      });
+    }
+  });
+}
+
+/**
+ * Find playlists in the user's collection with the expected chart playlist name
+ * @param {SpotifyAPI} spotify - Spotify client for the session
+ * @param {string} expectedPlaylistName - Exact playlist name to look for
+ * @param {Array<string>} searchQueries - Naming patterns used to pre-filter the user's playlists
+ * @returns {Promise<Array>} Matching playlists without duplicates
+ */
+async function findExistingPlaylists(spotify, expectedPlaylistName, searchQueries = [expectedPlaylistName]) {
+  // Get user's playlists instead of searching all public playlists
+  let userPlaylists = [];
+  try {
+    userPlaylists = await spotify.getUserPlaylists(50);
+    console.log(`Found ${userPlaylists.length} user playlists`);
+  } catch (error) {
+    console.warn('Failed to get user playlists:', error.message);
+  }
+  
+  // Filter user's playlists by the expected naming patterns
+  const existingPlaylists = userPlaylists.filter(playlist => {
+    const playlistName = playlist.name.toLowerCase();
+    return searchQueries.some(query => 
+      playlistName.includes(query.toLowerCase())
+    );
+  });
+  
+  console.log(`Found ${existingPlaylists.length} matching playlists in user's collection`);
+  
+  // Remove duplicates and filter by exact naming pattern
+  console.log(`Looking for playlist with exact name: "${expectedPlaylistName}"`);
+  return existingPlaylists
+    .filter(playlist => playlist && playlist.id && playlist.name) // Remove null/undefined playlists
+    .filter((playlist, index, self) => 
+      index === self.findIndex(p => p.id === playlist.id)
+    )
+    .filter(playlist => 
+      playlist.name === expectedPlaylistName || // Exact match
+      playlist.name.toLowerCase() === expectedPlaylistName.toLowerCase() // Case-insensitive exact match
+    );
+}
+
+const ALBUM_TRACK_MODES = ['full', 'popular', 'first'];
+
+// Matches at least this confident are accepted without review (requests can pass their own autoAcceptThreshold)
+const AUTO_ACCEPT_THRESHOLD = parseFloat(process.env.MATCH_AUTO_ACCEPT_THRESHOLD) || DEFAULT_AUTO_ACCEPT_THRESHOLD;
+
+// Spotify track and album IDs: 22 base-62 characters
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+// Search strategies tried in turn until a confident match turns up (requests can pass their own searchLadder)
+const SEARCH_LADDER = resolveSearchLadder(process.env.SEARCH_LADDER);
+
+/**
+ * Search Spotify for a chart entry and pick the best match. Entries someone has
+ * already verified use the stored match instead of a search.
+ * @param {SpotifyAPI} spotify - Spotify client for the session
+ * @param {Object} track - Chart entry with position, title, artist, searchQuery and entryType
+ * @param {Object} options - Match options
+ * @param {number} options.autoAcceptThreshold - Confidence needed to accept the match without review
+ * @param {number} options.chartYear - Year of the chart, to prefer releases from around then
+ * @param {Array<string>} options.searchLadder - Search strategies to try for tracks, in order
+ * @param {string} options.explicitPreference - 'any', 'clean' (look for clean versions of explicit matches) or 'explicit'
+ * @returns {Promise<Object>} Match with the scored Spotify results, the selected index, whether it
+ *   needs review, the search strategy that found it and, for clean-only playlists, whether no clean version was found
+ */
+async function matchChartEntry(spotify, track, { autoAcceptThreshold = AUTO_ACCEPT_THRESHOLD, chartYear = null, searchLadder = SEARCH_LADDER, explicitPreference = DEFAULT_EXPLICIT_PREFERENCE } = {}) {
+  const entryType = track.entryType === 'album' ? 'album' : 'track';
+  
+  try {
+    const stored = await matchStore.get({ ...track, entryType });
+    
+    // Stored tracks are looked up again in this session's market, so relinking applies
+    // and a track that isn't available here is matched afresh
+    const storedTrack = stored && entryType === 'track' ?
+      (await spotify.getTrackById(stored.spotifyId)) || stored.track :
+      stored?.track;
+    if (storedTrack?.is_playable === false) {
+      console.log(`⚠️ Stored match "${storedTrack.name}" for ${track.title} is unavailable in ${spotify.market}, searching again`);
+    }
+    const storedExplicitForClean = explicitPreference === 'clean' && storedTrack?.explicit;
+    if (storedExplicitForClean) {
+      console.log(`🧼 Stored match "${storedTrack.name}" for ${track.title} is explicit, searching for a clean version`);
+    }
+    
+    if (stored && storedTrack.is_playable !== false && !storedExplicitForClean) {
+      return {
+        position: track.position,
+        title: track.title,
+        artist: track.artist,
+        searchQuery: track.searchQuery,
+        entryType: entryType,
+        spotifyMatches: [storedTrack],
+        selectedMatch: 0,
+        hasMatch: true,
+        accepted: true,
+        needsReview: false,
+        storedMatch: matchStore.summarize(stored)
+      };
+    }
+    
+    const scoringOptions = { threshold: autoAcceptThreshold, chartYear, explicitPreference };
+    
+    // Album chart entries are matched to Spotify albums rather than tracks; tracks walk
+    // the search ladder until a step finds a confident match
+    const search = entryType === 'album' ?
+      { tracks: await spotify.searchAlbums(track.searchQuery, 5), strategy: 'album', query: track.searchQuery } :
+      await spotify.searchTracksWithFallbacks(track, {
+        limit: 5,
+        ladder: searchLadder,
+        rateResults: (results) => assessCandidates(results, track, scoringOptions).confidence,
+        goodEnough: autoAcceptThreshold
+      });
+    let spotifyTracks = search.tracks;
+    
+    // Score every candidate and pick the best; confident matches need no review
+    let assessment = assessCandidates(spotifyTracks, { ...track, entryType }, scoringOptions);
+    
+    // When search finds nothing good, look through the artist's releases as a person would
+    if (entryType === 'track' && assessment.needsReview) {
+      const catalogue = await spotify.searchArtistCatalogue(track, { chartYear, limit: 5 });
+      const newTracks = catalogue.tracks.filter(found => !spotifyTracks.some(existing => existing.id === found.id));
       
-      console.log(`🔍 Token age: ${Math.round(tokenAge / 1000 / 60)} minutes`);
+      if (newTracks.length > 0) {
+        spotifyTracks = [...spotifyTracks, ...newTracks];
+        assessment = assessCandidates(spotifyTracks, { ...track, entryType }, scoringOptions);
+        
+        if (assessment.candidates[assessment.selectedMatch].searchStrategy === 'artist-catalogue') {
+          search.strategy = 'artist-catalogue';
+          search.query = `artist:"${catalogue.artist.name}"`;
+        }
+      }
+    }
+    
+    // Clean-only playlists need the clean counterpart of an explicit match
+    let best = assessment.candidates[assessment.selectedMatch];
+    if (entryType === 'track' && explicitPreference === 'clean' && best?.explicit) {
+      const cleanTracks = (await spotify.findCleanVersions(best, { limit: 5 }))
+        .filter(found => !spotifyTracks.some(existing => existing.id === found.id));
       
-      if (tokenAge > tokenExpiryTime) {
-        // Token is likely expired or close to expiring, refresh it
-        console.log('🔄 Refreshing Spotify token (proactive refresh)...');
-        const refreshResponse = await fetch('https://accounts.spotify.com/api/token', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
-          },
-          body: new URLSearchParams({
-            grant_type: 'refresh_token',
-            refresh_token: req.session.spotifyRefreshToken
-          })
-        });
+      if (cleanTracks.length > 0) {
+        spotifyTracks = [...spotifyTracks, ...cleanTracks];
+        assessment = assessCandidates(spotifyTracks, { ...track, entryType }, scoringOptions);
+        best = assessment.candidates[assessment.selectedMatch];
         
-        if (refreshResponse.ok) {
-          const tokenData = await refreshResponse.json();
-          req.session.spotifyAccessToken = tokenData.access_token;
-          req.session.tokenTimestamp = now;
-          
-          // Save the new token
-          req.session.save((err) => {
-            if (err) console.error('Session save error during refresh:', err);
-            else console.log('✅ Session saved after token refresh');
-          });
-          
-          console.log('✅ Spotify token refreshed successfully');
-        } else {
-          const errorData = await refreshResponse.json().catch(() => ({}));
-          console.log('❌ Failed to refresh Spotify token:', errorData);
-          
-          // If refresh token is invalid/expired, clear all tokens
-          if (refreshResponse.status === 400 || refreshResponse.status === 401) {
-            console.log('🔄 Refresh token expired, clearing all tokens');
-            req.session.spotifyAccessToken = null;
-            req.session.spotifyRefreshToken = null;
-            req.session.tokenTimestamp = null;
-            req.session.spotifyUserId = null;
-            req.session.spotifyUser = null;
-          }
+        if (best.searchStrategy === 'clean-version') {
+          search.strategy = 'clean-version';
+          search.query = `track:"${best.name}" artist:"${best.artist}"`;
         }
-      } else {
-        console.log('✅ Token is still valid, no refresh needed');
       }
+    }
+    
+    return {
+      position: track.position,
+      title: track.title,
+      artist: track.artist,
+      searchQuery: track.searchQuery,
+      entryType: entryType,
+      spotifyMatches: assessment.candidates,
+      selectedMatch: assessment.selectedMatch,
+      hasMatch: spotifyTracks.length > 0,
+      confidence: assessment.confidence,
+      accepted: assessment.autoAccepted,
+      autoAccepted: assessment.autoAccepted,
+      needsReview: assessment.needsReview,
+      searchStrategy: search.strategy,
+      searchStrategyQuery: search.query,
+      noCleanVersion: explicitPreference === 'clean' && Boolean(best?.explicit)
+    };
+    
+  } catch (error) {
+    console.warn(`Failed to match track "${track.searchQuery}":`, error.message);
+    return {
+      position: track.position,
+      title: track.title,
+      artist: track.artist,
+      searchQuery: track.searchQuery,
+      entryType: entryType,
+      spotifyMatches: [],
+      selectedMatch: null,
+      hasMatch: false,
+      needsReview: true,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Match a chart entry with Spotify, matching each song of a double A-side separately
+ * @param {SpotifyAPI} spotify - Spotify client for the session
+ * @param {Object} track - Chart entry with position, title, artist, searchQuery, entryType and optional subTracks
+ * @param {Object} options - Match options, see matchChartEntry
+ * @returns {Promise<Object>} Match result, with subTrackMatches for the other sides of a double A-side
+ */
+async function matchChartTrack(spotify, track, options = {}) {
+  if (!track.subTracks || track.subTracks.length <= 1) {
+    return matchChartEntry(spotify, track, options);
+  }
+  
+  // Double A-sides: the entry itself is matched as the first song, and each
+  // other song is matched separately and linked to the same position
+  const [primary, ...others] = track.subTracks;
+  const match = await matchChartEntry(spotify, { ...track, title: primary.title, searchQuery: primary.searchQuery }, options);
+  
+  match.title = track.title;
+  match.primaryTitle = primary.title;
+  match.subTrackMatches = [];
+  for (const subTrack of others) {
+    const subMatch = await matchChartEntry(spotify, { ...subTrack, position: track.position, entryType: track.entryType }, options);
+    match.subTrackMatches.push({ ...subMatch, part: subTrack.part });
+  }
+  
+  // The entry needs review (or has no clean version) if any of its songs does
+  match.needsReview = match.needsReview || match.subTrackMatches.some(subMatch => subMatch.needsReview);
+  match.noCleanVersion = match.noCleanVersion || match.subTrackMatches.some(subMatch => subMatch.noCleanVersion);
+  
+  return match;
+}
+
+// Each job carries its session's Spotify client and match options; two at a time keeps within Spotify's app-wide rate limits
+const matchJobs = new MatchJobQueue((track, context) => matchChartTrack(context.spotify, track, context.options), { concurrency: 2 });
+
+/**
+ * Collect the track URIs to add to a playlist, expanding album matches into their tracks
+ * @param {SpotifyAPI} spotify - Spotify client for the session
+ * @param {Array} tracks - Selected chart entries with spotifyUri and explicit, or for albums spotifyAlbumId
+ * @param {string} albumTrackMode - How to expand albums: 'full', 'popular' or 'first'
+ * @param {number} albumTrackCount - Number of tracks per album in 'first' mode
+ * @param {string} explicitPreference - 'clean' leaves out explicit tracks
+ * @returns {Promise<{trackUris: Array<string>, skippedExplicit: Array<Object>}>} Track URIs in chart order,
+ *   and the entries left out because only an explicit version was matched
+ */
+async function collectPlaylistTrackUris(spotify, tracks, albumTrackMode = 'full', albumTrackCount = 3, explicitPreference = DEFAULT_EXPLICIT_PREFERENCE) {
+  const trackUris = [];
+  const skippedExplicit = [];
+  const cleanOnly = explicitPreference === 'clean';
+  
+  for (const track of tracks) {
+    if (track.spotifyAlbumId) {
+      try {
+        const albumTrackUris = await spotify.getAlbumPlaylistTracks(track.spotifyAlbumId, albumTrackMode, albumTrackCount, cleanOnly);
+        console.log(`💿 Adding ${albumTrackUris.length} tracks from album at position ${track.position}`);
+        trackUris.push(...albumTrackUris);
+      } catch (error) {
+        console.warn(`⚠️ Failed to get tracks for album "${track.title}":`, error.message);
+      }
+    } else if (track.spotifyUri && cleanOnly && track.explicit) {
+      // Reported rather than added, as no clean version was matched
+      console.log(`🧼 Skipping explicit track at position ${track.position}: ${track.title}`);
+      skippedExplicit.push({ position: track.position, title: track.title, artist: track.artist });
+    } else if (track.spotifyUri) {
+      trackUris.push(track.spotifyUri);
+    }
+  }
+  
+  // The same track can appear on several charted albums (e.g. a single and its parent album)
+  return { trackUris: [...new Set(trackUris)], skippedExplicit };
+}
+
+/**
+ * Validate the album expansion options sent with a playlist request
+ * @param {Object} body - Request body
+ * @returns {{albumTrackMode: string, albumTrackCount: number}|null} Options, or null if invalid
+ */
+function getAlbumTrackOptions(body) {
+  const albumTrackMode = body.albumTrackMode || 'full';
+  const albumTrackCount = parseInt(body.albumTrackCount) || 3;
+  
+  if (!ALBUM_TRACK_MODES.includes(albumTrackMode) || albumTrackCount < 1 || albumTrackCount > 50) {
+    return null;
+  }
+  
+  return { albumTrackMode, albumTrackCount };
+}
+
+/**
+ * Validate the explicit content preference sent with a matching or playlist request
+ * @param {Object} body - Request body with optional explicitPreference
+ * @returns {string|null} 'any' (the default), 'clean' or 'explicit', or null if invalid
+ */
+function getExplicitPreference(body) {
+  const explicitPreference = body.explicitPreference || DEFAULT_EXPLICIT_PREFERENCE;
+  return EXPLICIT_PREFERENCES.includes(explicitPreference) ? explicitPreference : null;
+}
+
+/**
+ * Validate the match options sent with a matching request
+ * @param {Object} body - Request body with optional autoAcceptThreshold, chartYear, searchLadder and explicitPreference
+ * @returns {{autoAcceptThreshold: number, chartYear: number|null, searchLadder: Array<string>, explicitPreference: string}|null} Options, or null if invalid
+ */
+function getMatchOptions(body) {
+  const autoAcceptThreshold = body.autoAcceptThreshold === undefined ?
+    AUTO_ACCEPT_THRESHOLD :
+    parseFloat(body.autoAcceptThreshold);
+  const chartYear = body.chartYear ? parseInt(body.chartYear) : null;
+  
+  if (!(autoAcceptThreshold >= 0 && autoAcceptThreshold <= 1)) {
+    return null;
+  }
+  
+  if (chartYear !== null && !(chartYear >= 1900 && chartYear <= new Date().getFullYear() + 1)) {
+    return null;
+  }
+  
+  let searchLadder = SEARCH_LADDER;
+  if (body.searchLadder) {
+    try {
+      searchLadder = resolveSearchLadder(body.searchLadder);
     } catch (error) {
-      console.error('Error refreshing Spotify token:', error);
+      console.log(`⚠️ Invalid search ladder: ${error.message}`);
+      return null;
     }
-  } else {
-    console.log('🔍 No tokens found in session');
   }
-  next();
+  
+  const explicitPreference = getExplicitPreference(body);
+  if (!explicitPreference) {
+    return null;
+  }
+  
+  return { autoAcceptThreshold, chartYear, searchLadder, explicitPreference };
+}
+
+/**
+ * Look up the chart source a request names with `source` (in the query or body).
+ * The custom source is built from the request's `urlTemplate` and optional selectors.
+ * @param {Object} params - Query or body parameters
+ * @returns {ChartSource|null} Chart source (Official Charts by default), or null if unknown or misconfigured
+ */
+function getRequestChartSource(params) {
+  const sourceId = params.source || DEFAULT_CHART_SOURCE;
+  
+  if (sourceId === CUSTOM_CHART_SOURCE) {
+    try {
+      return createCustomChartSource(params);
+    } catch (error) {
+      console.log(`⚠️ Invalid custom chart source: ${error.message}`);
+      return null;
+    }
+  }
+  
+  return chartSources.get(sourceId) || null;
 }
 
 // Apply token refresh middleware to API routes
 app.use('/api', refreshSpotifyTokenIfNeeded);
 
+/**
+ * Keep custom chart sources to logged-in users, as they make the server fetch pages from any URL
+ */
+app.use('/api', (req, res, next) => {
+  const sourceId = req.query.source || req.body?.source;
+  
+  if (sourceId === CUSTOM_CHART_SOURCE && !req.session.spotifyAccessToken) {
+    return res.status(401).json({ error: 'Log in with Spotify to use a custom chart source' });
+  }
+  
+  next();
+});
+
+/**
+ * Only let logged-in users purge the chart cache
+ */
+app.use('/api/chart-cache', (req, res, next) => {
+  if (req.method === 'DELETE' && !req.session.spotifyAccessToken) {
+    return res.status(401).json({ error: 'Not authenticated with Spotify' });
+  }
+  
+  next();
+});
+
 // Routes
 
 /**
@@ -131,8 +537,22 @@ app.get('/', (req, res) => {
  */
 app.get('/api/auth/spotify', (req, res) => {
   try {
-    const authURL = spotifyAPI.getAuthorizationURL();
-    res.redirect(authURL);
+    // Remember this login's state (and PKCE verifier) so /callback can check it came from here
+    const state = crypto.randomBytes(16).toString('hex');
+    const pkce = spotifyApp.usesPkce() ? createPkcePair() : null;
+    
+    req.session.spotifyAuthState = state;
+    req.session.spotifyCodeVerifier = pkce ? pkce.verifier : null;
+    
+    const authURL = spotifyApp.getAuthorizationURL({ state, codeChallenge: pkce?.challenge });
+    
+    req.session.save((err) => {
+      if (err) {
+        console.error('Session save error:', err);
+        return res.status(500).json({ error: 'Failed to generate authorization URL' });
+      }
+      res.redirect(authURL);
+    });
   } catch (error) {
     console.error('Error generating auth URL:', error);
     res.status(500).json({ error: 'Failed to generate authorization URL' });
@@ -144,7 +564,18 @@ app.get('/api/auth/spotify', (req, res) => {
  */
 app.get('/callback', async (req, res) => {
   try {
-    const { code, error } = req.query;
+    const { code, error, state } = req.query;
+    const { spotifyAuthState: expectedState, spotifyCodeVerifier: codeVerifier } = req.session;
+    
+    // Each login's state and verifier are used once
+    req.session.spotifyAuthState = null;
+    req.session.spotifyCodeVerifier = null;
+    
+    // A callback this session didn't start could log the user in to someone else's account
+    if (!expectedState || state !== expectedState) {
+      console.error('❌ Spotify callback state mismatch');
+      return res.redirect('/?error=' + encodeURIComponent('Login could not be verified. Please try logging in again.'));
+    }
     
     if (error) {
       console.error('Spotify authorization error:', error);
@@ -155,16 +586,18 @@ app.get('/callback', async (req, res) => {
       return res.redirect('/?error=' + encodeURIComponent('No authorization code received'));
     }
     
-    // Exchange code for token
-    const tokenData = await spotifyAPI.exchangeCodeForToken(code);
-    const user = await spotifyAPI.getCurrentUser();
+    // Exchange code for token, using a fresh client so nothing is shared with other logins
+    const spotify = getSpotifyClient({});
+    const tokenData = await spotify.exchangeCodeForToken(code, codeVerifier);
+    const user = await spotify.getCurrentUser();
     
     // Store in session
-    req.session.spotifyAccessToken = spotifyAPI.accessToken;
-    req.session.spotifyRefreshToken = spotifyAPI.refreshToken;
-    req.session.spotifyUserId = spotifyAPI.userId;
+    req.session.spotifyAccessToken = spotify.accessToken;
+    req.session.spotifyRefreshToken = spotify.refreshToken;
+    req.session.spotifyUserId = spotify.userId;
     req.session.spotifyUser = user;
     req.session.tokenTimestamp = Date.now();
+    req.session.tokenExpiresAt = spotify.expiresAt;
     
     console.log(`✅ User authenticated: ${user.display_name || user.id}`);
     console.log(`🔑 Session ID: ${req.sessionID}`);
@@ -198,6 +631,7 @@ app.get('/api/user', (req, res) => {
   
   res.json({
     user: req.session.spotifyUser,
+    market: getSessionMarket(req.session),
     authenticated: true
   });
 });
@@ -216,119 +650,540 @@ app.post('/api/logout', (req, res) => {
 });
 
 /**
- * Get available years for charts
+ * Get the chart sources, with the chart types each one provides
+ */
+app.get('/api/chart-sources', (req, res) => {
+  res.json({
+    sources: [...chartSources.values()].map(source => source.toJSON()),
+    customSource: CUSTOM_CHART_SOURCE,
+    defaultSource: DEFAULT_CHART_SOURCE
+  });
+});
+
+/**
+ * Get the chart types that can be turned into playlists (?source= selects the chart source)
+ */
+app.get('/api/chart-types', (req, res) => {
+  const source = getRequestChartSource(req.query);
+  
+  if (!source) {
+    return res.status(400).json({ error: 'Invalid chart source' });
+  }
+  
+  res.json({
+    source: source.id,
+    chartTypes: source.toJSON().chartTypes
+  });
+});
+
+/**
+ * Get available years for charts
+ */
+app.get('/api/years', async (req, res) => {
+  try {
+    const { chartType } = req.query;
+    const source = getRequestChartSource(req.query);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
+    }
+    
+    if (!source.isValidChartType(chartType)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    const years = await source.getAvailableYears(source.getChartType(chartType).id);
+    
+    // Years are most recent first; the range reflects the charts we know URLs for, not the registry
+    res.json({
+      years,
+      source: source.id,
+      chartType: source.getChartType(chartType).id,
+      firstYear: years.length > 0 ? years[years.length - 1] : null,
+      lastYear: years.length > 0 ? years[0] : null
+    });
+  } catch (error) {
+    console.error('Error getting years:', error);
+    res.status(500).json({ error: 'Failed to get available years' });
+  }
+});
+
+/**
+ * Create playlist from year chart
+ */
+app.post('/api/create-playlist', async (req, res) => {
+  try {
+    const { year, chartDate, chartType: chartTypeId, chartName, entryType = 'track', playlistName, isPublic = false, matchedTracks } = req.body;
+    
+    // Check authentication
+    if (!req.session.spotifyAccessToken) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+    
+    // Imported charts have no source, year or week; they're named after the uploaded chart
+    const imported = req.body.source === IMPORTED_CHART_SOURCE;
+    const source = imported ? null : getRequestChartSource(req.body);
+    
+    if (imported) {
+      if (!chartName || !['track', 'album'].includes(entryType)) {
+        return res.status(400).json({ error: 'Imported charts need a chart name and an entry type of track or album' });
+      }
+    } else if (!source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
+    } else if (!source.isValidChartType(chartTypeId)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    const chartType = imported ?
+      { id: IMPORTED_CHART_SOURCE, parser: entryType, playlistPrefix: chartName } :
+      source.getChartType(chartTypeId);
+    
+    // Validate the chart week for weekly charts, otherwise the year (imported charts have neither)
+    if (imported) {
+      console.log(`📥 Playlist is for imported chart "${chartName}"`);
+    } else if (chartDate) {
+      if (!source.supportsWeekly()) {
+        return res.status(400).json({ error: `${source.name} does not provide weekly charts` });
+      }
+      if (!source.isValidChartDate(chartDate)) {
+        return res.status(400).json({ error: 'Invalid chart date. Must be between 1952-11-14 and today.' });
+      }
+    } else if (!source.isValidYear(year, chartType.id)) {
+      return res.status(400).json({ error: `Invalid year. Must be between ${chartType.firstYear} and current year.` });
+    }
+    
+    const spotify = getSpotifyClient(req.session);
+    
+    const albumOptions = getAlbumTrackOptions(req.body);
+    if (!albumOptions) {
+      return res.status(400).json({ error: `Invalid album track mode. Must be one of: ${ALBUM_TRACK_MODES.join(', ')}` });
+    }
+    
+    const explicitPreference = getExplicitPreference(req.body);
+    if (!explicitPreference) {
+      return res.status(400).json({ error: `Invalid explicit preference. Must be one of: ${EXPLICIT_PREFERENCES.join(', ')}` });
+    }
+    
+    const week = chartDate && !imported ? source.resolveChartWeek(chartDate) : null;
+    if (!imported) {
+      console.log(week ? `🎵 Creating playlist for week of ${week.start}...` : `🎵 Creating playlist for year ${year}...`);
+    }
+    
+    // Validate that matched tracks are provided
+    if (!matchedTracks || !Array.isArray(matchedTracks) || matchedTracks.length === 0) {
+      return res.status(400).json({ error: 'No matched tracks provided' });
+    }
+    
+    // Extract track URIs from the matched tracks, expanding any matched albums
+    const { trackUris, skippedExplicit } = await collectPlaylistTrackUris(spotify, matchedTracks, albumOptions.albumTrackMode, albumOptions.albumTrackCount, explicitPreference);
+    
+    if (trackUris.length === 0) {
+      return res.status(400).json({ error: 'No valid Spotify tracks found in matched tracks', skippedExplicit });
+    }
+    
+    console.log(`🎵 Creating playlist with ${trackUris.length} matched tracks`);
+    
+    // Create playlist
+    let defaultName = week ? `${chartType.playlistPrefix} - Week of ${week.start}` : `${chartType.playlistPrefix} - ${year}`;
+    let description;
+    if (imported) {
+      defaultName = chartName;
+      description = `${chartName} (imported chart) - Created automatically`;
+    } else {
+      description = source.describeChart(chartType, { year, week });
+    }
+    const finalPlaylistName = playlistName || defaultName;
+    
+    const playlistId = await spotify.createPlaylist(finalPlaylistName, description, isPublic);
+    
+    // Add tracks to playlist
+    const result = await spotify.addTracksToPlaylist(playlistId, trackUris);
+    
+    // Get final playlist info
+    const playlistInfo = await spotify.getPlaylist(playlistId);
+    
+    res.json({
+      success: true,
+      playlist: {
+        id: playlistId,
+        name: finalPlaylistName,
+        description: description,
+        url: `https://open.spotify.com/playlist/${playlistId}`,
+        totalTracks: playlistInfo.tracks.total,
+        public: playlistInfo.public,
+        year: imported ? undefined : year,
+        chartDate: week ? week.start : undefined,
+        chartName: imported ? chartName : undefined,
+        source: imported ? IMPORTED_CHART_SOURCE : source.id,
+        chartType: chartType.id,
+        albumTrackMode: chartType.parser === 'album' ? albumOptions.albumTrackMode : undefined,
+        explicitPreference: explicitPreference,
+        tracksFound: trackUris.length,
+        tracksSearched: matchedTracks.length,
+        skippedExplicit: skippedExplicit
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ 
+      error: 'Failed to create playlist',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Test chart scraping for a specific year
+ */
+app.get('/api/test-chart/:year', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const { chartType: chartTypeId, refresh } = req.query;
+    const source = getRequestChartSource(req.query);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
+    }
+    
+    if (!source.isValidChartType(chartTypeId)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    const chartType = source.getChartType(chartTypeId);
+    
+    if (!source.isValidYear(year, chartType.id)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+    
+    console.log(`🧪 Testing chart scraping for year ${year} (${source.name} ${chartType.chartName})...`);
+    const chartData = await chartCache.getYearChart(year, 100, chartType.id, { refresh: refresh === 'true', source }); // Test with full chart
+    
+    res.json({
+      success: true,
+      year: year,
+      source: source.id,
+      chartType: chartType.id,
+      tracksFound: chartData.tracks.length,
+      tracks: chartData.tracks, // Return all tracks
+      report: chartData.report,
+      cache: chartData.cache
+    });
+    
+  } catch (error) {
+    console.error('Error testing chart:', error);
+    res.status(500).json({ 
+      error: 'Failed to test chart scraping',
+      details: error.message,
+      report: error.report
+    });
+  }
+});
+
+/**
+ * Scrape the weekly chart for the week containing a date
+ */
+app.get('/api/chart/weekly/:date', async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { chartType: chartTypeId, refresh } = req.query;
+    const source = getRequestChartSource(req.query);
+    
+    if (!source || !source.supportsWeekly()) {
+      return res.status(400).json({ error: 'Invalid chart source, or it has no weekly charts' });
+    }
+    
+    if (!source.isValidChartType(chartTypeId)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    if (!source.isValidChartDate(date)) {
+      return res.status(400).json({ error: 'Invalid chart date' });
+    }
+    
+    const chartType = source.getChartType(chartTypeId);
+    const week = source.resolveChartWeek(date);
+    
+    console.log(`🧪 Loading weekly ${chartType.chartName} for week of ${week.start}...`);
+    const chartData = await chartCache.getWeeklyChart(date, 100, chartType.id, { refresh: refresh === 'true', source });
+    
+    res.json({
+      success: true,
+      chartDate: week.start,
+      source: source.id,
+      chartType: chartType.id,
+      week: week,
+      tracksFound: chartData.tracks.length,
+      tracks: chartData.tracks,
+      report: chartData.report,
+      cache: chartData.cache
+    });
+    
+  } catch (error) {
+    console.error('Error loading weekly chart:', error);
+    res.status(500).json({ 
+      error: 'Failed to load weekly chart',
+      details: error.message,
+      report: error.report
+    });
+  }
+});
+
+/**
+ * Import a chart from an uploaded CSV or JSON file with position, title and artist columns
+ */
+app.post('/api/import-chart', (req, res) => {
+  try {
+    const { content, filename, format, entryType = 'track', name } = req.body;
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'No chart file provided' });
+    }
+    
+    if (!['track', 'album'].includes(entryType)) {
+      return res.status(400).json({ error: 'Entry type must be track or album' });
+    }
+    
+    let parsed;
+    try {
+      parsed = parseChartFile(content, { filename, format });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid chart file',
+        details: error.message,
+        errors: error.errors || []
+      });
+    }
+    
+    // Same shape as scraped charts, so matching and playlist creation work unchanged
+    const tracks = parsed.entries.map(entry => parseChartEntry(entry, entryType));
+    const chartLength = tracks[tracks.length - 1].position;
+    const positions = new Set(tracks.map(track => track.position));
+    const missingPositions = [];
+    for (let i = 1; i <= chartLength; i++) {
+      if (!positions.has(i)) {
+        missingPositions.push(i);
+      }
+    }
+    
+    const chartName = (name || '').trim() || (filename || 'Imported chart').replace(/\.[^.]+$/, '');
+    console.log(`📥 Imported ${tracks.length} entries from ${filename || 'uploaded file'} as "${chartName}"`);
+    
+    res.json({
+      success: true,
+      source: IMPORTED_CHART_SOURCE,
+      name: chartName,
+      filename: filename || null,
+      entryType,
+      checksum: parsed.checksum,
+      tracksFound: tracks.length,
+      tracks,
+      report: {
+        url: null,
+        strategy: 'upload',
+        format: parsed.format,
+        attempts: [],
+        expected: chartLength,
+        chartLength,
+        found: tracks.length,
+        complete: missingPositions.length === 0,
+        missingPositions,
+        duplicatePositions: [],
+        warnings: missingPositions.length > 0 ?
+          [...parsed.warnings, `The file has no entries for positions ${missingPositions.join(', ')}`] :
+          parsed.warnings
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error importing chart:', error);
+    res.status(500).json({ 
+      error: 'Failed to import chart',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * List the charts held in the server-side chart cache
  */
-app.get('/api/years', (req, res) => {
+app.get('/api/chart-cache', async (req, res) => {
   try {
-    const years = yearChartScraper.getAvailableYears();
-    res.json({ years });
+    const charts = await chartCache.list();
+    
+    res.json({
+      success: true,
+      charts: charts
+    });
+    
   } catch (error) {
-    console.error('Error getting years:', error);
-    res.status(500).json({ error: 'Failed to get available years' });
+    console.error('Error listing chart cache:', error);
+    res.status(500).json({ 
+      error: 'Failed to list chart cache',
+      details: error.message 
+    });
   }
 });
 
 /**
- * Create playlist from year chart
+ * Purge the chart cache, optionally only for one chart source (?source=) or chart type (?chartType=)
  */
-app.post('/api/create-playlist', async (req, res) => {
+app.delete('/api/chart-cache', async (req, res) => {
   try {
-    const { year, playlistName, isPublic = false, matchedTracks } = req.body;
+    const { chartType } = req.query;
+    const filtered = !!(req.query.source || chartType);
+    const source = filtered ? getRequestChartSource(req.query) : null;
     
-    // Check authentication
-    if (!req.session.spotifyAccessToken) {
-      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    if (filtered && !source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
     }
     
-    // Validate year
-    if (!yearChartScraper.isValidYear(year)) {
-      return res.status(400).json({ error: 'Invalid year. Must be between 2000 and current year.' });
+    if (chartType && !source.isValidChartType(chartType)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
     }
     
-    // Set up Spotify API with session tokens
-    spotifyAPI.setAccessToken(req.session.spotifyAccessToken);
-    spotifyAPI.setUserId(req.session.spotifyUserId);
+    const purged = await chartCache.purge({ source, chartType });
     
-    console.log(`🎵 Creating playlist for year ${year}...`);
+    res.json({
+      success: true,
+      purged: purged
+    });
     
-    // Validate that matched tracks are provided
-    if (!matchedTracks || !Array.isArray(matchedTracks) || matchedTracks.length === 0) {
-      return res.status(400).json({ error: 'No matched tracks provided' });
+  } catch (error) {
+    console.error('Error purging chart cache:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge chart cache',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Purge a single end-of-year chart from the cache
+ */
+app.delete('/api/chart-cache/:year', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+    const { chartType } = req.query;
+    const source = getRequestChartSource(req.query);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
     }
     
-    // Extract track URIs from the matched tracks
-    const trackUris = matchedTracks
-      .filter(track => track.spotifyUri) // Only include tracks with Spotify URIs
-      .map(track => track.spotifyUri);
+    if (!source.isValidChartType(chartType)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
     
-    if (trackUris.length === 0) {
-      return res.status(400).json({ error: 'No valid Spotify tracks found in matched tracks' });
+    if (!source.isValidYear(year, chartType)) {
+      return res.status(400).json({ error: 'Invalid year' });
     }
     
-    console.log(`🎵 Creating playlist with ${trackUris.length} matched tracks`);
+    const purged = await chartCache.purge({ source, chartType: source.getChartType(chartType).id, period: year });
     
-    // Create playlist
-    const defaultName = `UK Top 100 - ${year}`;
-    const finalPlaylistName = playlistName || defaultName;
-    const description = `UK Official End-of-Year Singles Chart Top 100 for ${year} - Created automatically`;
+    res.json({
+      success: true,
+      purged: purged
+    });
+    
+  } catch (error) {
+    console.error('Error purging chart cache:', error);
+    res.status(500).json({ 
+      error: 'Failed to purge chart cache',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Purge a single weekly chart from the cache
+ */
+app.delete('/api/chart-cache/weekly/:date', async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { chartType } = req.query;
+    const source = getRequestChartSource(req.query);
     
-    const playlistId = await spotifyAPI.createPlaylist(finalPlaylistName, description, isPublic);
+    if (!source || !source.supportsWeekly()) {
+      return res.status(400).json({ error: 'Invalid chart source, or it has no weekly charts' });
+    }
     
-    // Add tracks to playlist
-    const result = await spotifyAPI.addTracksToPlaylist(playlistId, trackUris);
+    if (!source.isValidChartType(chartType)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
     
-    // Get final playlist info
-    const playlistInfo = await spotifyAPI.getPlaylist(playlistId);
+    if (!source.isValidChartDate(date)) {
+      return res.status(400).json({ error: 'Invalid chart date' });
+    }
+    
+    const week = source.resolveChartWeek(date);
+    const purged = await chartCache.purge({ source, chartType: source.getChartType(chartType).id, period: `week-${week.start}` });
     
     res.json({
       success: true,
-      playlist: {
-        id: playlistId,
-        name: finalPlaylistName,
-        description: description,
-        url: `https://open.spotify.com/playlist/${playlistId}`,
-        totalTracks: playlistInfo.tracks.total,
-        public: playlistInfo.public,
-        year: year,
-        tracksFound: trackUris.length,
-        tracksSearched: matchedTracks.length
-      }
+      purged: purged
     });
     
   } catch (error) {
-    console.error('Error creating playlist:', error);
+    console.error('Error purging chart cache:', error);
     res.status(500).json({ 
-      error: 'Failed to create playlist',
+      error: 'Failed to purge chart cache',
       details: error.message 
     });
   }
 });
 
 /**
- * Test chart scraping for a specific year
+ * Check for existing playlists for the chart week containing a date
  */
-app.get('/api/test-chart/:year', async (req, res) => {
+app.get('/api/chart/weekly/:date/playlists', async (req, res) => {
   try {
-    const year = parseInt(req.params.year);
+    const { date } = req.params;
+    const { chartType } = req.query;
+    const source = getRequestChartSource(req.query);
     
-    if (!yearChartScraper.isValidYear(year)) {
-      return res.status(400).json({ error: 'Invalid year' });
+    if (!source || !source.supportsWeekly()) {
+      return res.status(400).json({ error: 'Invalid chart source, or it has no weekly charts' });
     }
     
-    console.log(`🧪 Testing chart scraping for year ${year}...`);
-    const chartData = await yearChartScraper.getYearChartData(year, 100); // Test with full chart
+    if (!source.isValidChartType(chartType)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    if (!source.isValidChartDate(date)) {
+      return res.status(400).json({ error: 'Invalid chart date' });
+    }
+    
+    const week = source.resolveChartWeek(date);
+    
+    // If not authenticated, return empty result
+    if (!req.session.spotifyAccessToken) {
+      return res.json({
+        success: true,
+        chartDate: week.start,
+        existingPlaylists: [],
+        hasExisting: false,
+        authenticated: false
+      });
+    }
+    
+    console.log(`🔍 Checking for existing playlists for week of ${week.start}...`);
+    
+    const expectedPlaylistName = `${source.getChartType(chartType).playlistPrefix} - Week of ${week.start}`;
+    const existingPlaylists = await findExistingPlaylists(getSpotifyClient(req.session), expectedPlaylistName);
     
     res.json({
       success: true,
-      year: year,
-      tracksFound: chartData.length,
-      tracks: chartData // Return all tracks
+      chartDate: week.start,
+      existingPlaylists: existingPlaylists,
+      hasExisting: existingPlaylists.length > 0,
+      authenticated: true
     });
     
   } catch (error) {
-    console.error('Error testing chart:', error);
+    console.error('Error checking playlists:', error);
     res.status(500).json({ 
-      error: 'Failed to test chart scraping',
+      error: 'Failed to check existing playlists',
       details: error.message 
     });
   }
@@ -340,8 +1195,20 @@ app.get('/api/test-chart/:year', async (req, res) => {
 app.get('/api/check-playlist/:year', async (req, res) => {
   try {
     const year = parseInt(req.params.year);
+    const { chartType: chartTypeId } = req.query;
+    const source = getRequestChartSource(req.query);
+    
+    if (!source) {
+      return res.status(400).json({ error: 'Invalid chart source' });
+    }
     
-    if (!yearChartScraper.isValidYear(year)) {
+    if (!source.isValidChartType(chartTypeId)) {
+      return res.status(400).json({ error: 'Invalid chart type' });
+    }
+    
+    const chartType = source.getChartType(chartTypeId);
+    
+    if (!source.isValidYear(year, chartType.id)) {
       return res.status(400).json({ error: 'Invalid year' });
     }
     
@@ -358,45 +1225,17 @@ app.get('/api/check-playlist/:year', async (req, res) => {
     
     console.log(`🔍 Checking for existing playlists for year ${year}...`);
     
-    // Search for playlists with the year in the name
-    const searchQueries = [
+    const expectedPlaylistName = `${chartType.playlistPrefix} - ${year}`;
+    
+    // Search for playlists with the year in the name (older singles playlists used other naming patterns)
+    const searchQueries = source.id === DEFAULT_CHART_SOURCE && chartType.id === 'singles' ? [
       `UK Top 100 - ${year}`,
       `UK Charts ${year}`,
       `Top 100 ${year}`,
       `${year} UK Charts`
-    ];
-    
-    // Get user's playlists instead of searching all public playlists
-    let userPlaylists = [];
-    try {
-      userPlaylists = await spotifyAPI.getUserPlaylists(req.session.spotifyAccessToken, 50);
-      console.log(`Found ${userPlaylists.length} user playlists`);
-    } catch (error) {
-      console.warn('Failed to get user playlists:', error.message);
-    }
+    ] : [expectedPlaylistName];
     
-    // Filter user's playlists by the expected naming patterns
-    const existingPlaylists = userPlaylists.filter(playlist => {
-      const playlistName = playlist.name.toLowerCase();
-      return searchQueries.some(query => 
-        playlistName.includes(query.toLowerCase())
-      );
-    });
-    
-    console.log(`Found ${existingPlaylists.length} matching playlists in user's collection`);
-    
-    // Remove duplicates and filter by exact naming pattern
-    const expectedPlaylistName = `UK Top 100 - ${year}`;
-    console.log(`Looking for playlist with exact name: "${expectedPlaylistName}"`);
-    const uniquePlaylists = existingPlaylists
-      .filter(playlist => playlist && playlist.id && playlist.name) // Remove null/undefined playlists
-      .filter((playlist, index, self) => 
-        index === self.findIndex(p => p.id === playlist.id)
-      )
-      .filter(playlist => 
-        playlist.name === expectedPlaylistName || // Exact match
-        playlist.name.toLowerCase() === expectedPlaylistName.toLowerCase() // Case-insensitive exact match
-      );
+    const uniquePlaylists = await findExistingPlaylists(getSpotifyClient(req.session), expectedPlaylistName, searchQueries);
     
     res.json({
       success: true,
@@ -432,53 +1271,25 @@ app.post('/api/match-tracks', async (req, res) => {
     if (!tracks || !Array.isArray(tracks)) {
       return res.status(400).json({ error: 'Invalid tracks data' });
     }
+    
+    const matchOptions = getMatchOptions(req.body);
+    if (!matchOptions) {
+      return res.status(400).json({ error: `Invalid match options: autoAcceptThreshold must be between 0 and 1, chartYear a valid year, searchLadder known search strategies and explicitPreference one of: ${EXPLICIT_PREFERENCES.join(', ')}` });
+    }
 
     console.log(`🎵 Matching ${tracks.length} tracks with Spotify...`);
     
     const matches = [];
     const batchSize = 10; // Process tracks in batches of 10
     
-    // Set the access token on the SpotifyAPI instance once
-    spotifyAPI.accessToken = req.session.spotifyAccessToken;
+    const spotify = getSpotifyClient(req.session);
     
     for (let i = 0; i < tracks.length; i += batchSize) {
       const batch = tracks.slice(i, i + batchSize);
       console.log(`🎵 Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(tracks.length/batchSize)} (${batch.length} tracks)`);
       
       for (const track of batch) {
-        try {
-          const spotifyTracks = await spotifyAPI.searchTracks(
-            track.searchQuery, 
-            5 // limit - get up to 5 results
-          );
-          
-          // Use smart selection to pick the best match
-          const bestMatchIndex = spotifyTracks.length > 0 ? 
-            spotifyAPI.selectBestMatch(spotifyTracks, track.title, track.artist) : null;
-          
-          matches.push({
-            position: track.position,
-            title: track.title,
-            artist: track.artist,
-            searchQuery: track.searchQuery,
-            spotifyMatches: spotifyTracks,
-            selectedMatch: bestMatchIndex,
-            hasMatch: spotifyTracks.length > 0
-          });
-          
-        } catch (error) {
-          console.warn(`Failed to match track "${track.searchQuery}":`, error.message);
-          matches.push({
-            position: track.position,
-            title: track.title,
-            artist: track.artist,
-            searchQuery: track.searchQuery,
-            spotifyMatches: [],
-            selectedMatch: null,
-            hasMatch: false,
-            error: error.message
-          });
-        }
+        matches.push(await matchChartTrack(spotify, track, matchOptions));
       }
       
       // Add delay between batches to avoid rate limiting
@@ -491,7 +1302,11 @@ app.post('/api/match-tracks', async (req, res) => {
       success: true,
       matches: matches,
       totalTracks: tracks.length,
-      matchedTracks: matches.filter(m => m.hasMatch).length
+      matchedTracks: matches.filter(m => m.hasMatch).length,
+      autoAcceptThreshold: matchOptions.autoAcceptThreshold,
+      explicitPreference: matchOptions.explicitPreference,
+      needsReview: matches.filter(m => m.needsReview).map(m => m.position),
+      noCleanVersion: matches.filter(m => m.noCleanVersion).map(m => m.position)
     });
     
   } catch (error) {
@@ -503,44 +1318,205 @@ app.post('/api/match-tracks', async (req, res) => {
   }
 });
 
+/**
+ * Start a background job matching chart tracks with Spotify
+ */
+app.post('/api/match-jobs', (req, res) => {
+  try {
+    if (!req.session.spotifyAccessToken) {
+      return res.status(401).json({ 
+        error: 'Not authenticated with Spotify',
+        authenticated: false 
+      });
+    }
+    
+    const { tracks } = req.body;
+    
+    if (!tracks || !Array.isArray(tracks) || tracks.length === 0) {
+      return res.status(400).json({ error: 'Invalid tracks data' });
+    }
+    
+    const matchOptions = getMatchOptions(req.body);
+    if (!matchOptions) {
+      return res.status(400).json({ error: `Invalid match options: autoAcceptThreshold must be between 0 and 1, chartYear a valid year, searchLadder known search strategies and explicitPreference one of: ${EXPLICIT_PREFERENCES.join(', ')}` });
+    }
+    
+    const job = matchJobs.createJob(tracks, {
+      ownerId: req.sessionID,
+      context: { spotify: getSpotifyClient(req.session), options: matchOptions }
+    });
+    
+    res.status(202).json(matchJobs.describe(job));
+    
+  } catch (error) {
+    console.error('Error starting match job:', error);
+    res.status(500).json({ 
+      error: 'Failed to start match job',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Get a match job's status and the matches found so far
+ */
+app.get('/api/match-jobs/:jobId', (req, res) => {
+  const job = matchJobs.getJob(req.params.jobId, req.sessionID);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Match job not found' });
+  }
+  
+  res.json(matchJobs.describe(job, { includeMatches: true }));
+});
+
+/**
+ * Stream a match job's progress as Server-Sent Events
+ */
+app.get('/api/match-jobs/:jobId/events', (req, res) => {
+  const job = matchJobs.getJob(req.params.jobId, req.sessionID);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Match job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  const close = () => {
+    clearInterval(heartbeat);
+    matchJobs.off(job.id, listener);
+    res.end();
+  };
+  
+  const listener = (event) => {
+    const { type, ...data } = event;
+    send(type, data);
+    
+    // Finished jobs send nothing more; a resumed job gets a new stream
+    if (type === 'status' && matchJobs.isFinished(job)) {
+      close();
+    }
+  };
+  
+  // Comment lines keep proxies from closing an idle stream while a match is slow
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  // Start with everything so far, so reconnecting clients catch up
+  send('snapshot', matchJobs.describe(job, { includeMatches: true }));
+  
+  if (matchJobs.isFinished(job)) {
+    close();
+    return;
+  }
+  
+  matchJobs.on(job.id, listener);
+  req.on('close', close);
+});
+
+/**
+ * Cancel a match job, keeping the matches found so far
+ */
+app.post('/api/match-jobs/:jobId/cancel', (req, res) => {
+  const job = matchJobs.getJob(req.params.jobId, req.sessionID);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Match job not found' });
+  }
+  
+  res.json(matchJobs.describe(matchJobs.cancel(job)));
+});
+
+/**
+ * Resume a cancelled or failed match job from the first unmatched track
+ */
+app.post('/api/match-jobs/:jobId/resume', (req, res) => {
+  try {
+    if (!req.session.spotifyAccessToken) {
+      return res.status(401).json({ 
+        error: 'Not authenticated with Spotify',
+        authenticated: false 
+      });
+    }
+    
+    const job = matchJobs.getJob(req.params.jobId, req.sessionID);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Match job not found' });
+    }
+    
+    if (job.status === 'completed') {
+      return res.status(409).json({ error: 'Match job has already completed' });
+    }
+    
+    // The session's token may have been refreshed since the job started
+    matchJobs.resume(job, { ...job.context, spotify: getSpotifyClient(req.session) });
+    res.json(matchJobs.describe(job));
+    
+  } catch (error) {
+    console.error('Error resuming match job:', error);
+    res.status(500).json({ 
+      error: 'Failed to resume match job',
+      details: error.message 
+    });
+  }
+});
+
 /**
  * Update an existing playlist with selected tracks
  */
 app.post('/api/update-playlist', async (req, res) => {
   try {
-    const { playlistId, year, selectedTracks, replaceAll = false } = req.body;
+    const { playlistId, year, chartDate, chartName, selectedTracks, replaceAll = false } = req.body;
     
     if (!req.session.spotifyAccessToken) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
     
-    if (!playlistId || !year || !selectedTracks || !Array.isArray(selectedTracks)) {
+    if (!playlistId || !(year || chartDate || chartName) || !selectedTracks || !Array.isArray(selectedTracks)) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
-    console.log(`🔄 Updating playlist ${playlistId} for year ${year}...`);
+    const albumOptions = getAlbumTrackOptions(req.body);
+    if (!albumOptions) {
+      return res.status(400).json({ error: `Invalid album track mode. Must be one of: ${ALBUM_TRACK_MODES.join(', ')}` });
+    }
+    
+    const explicitPreference = getExplicitPreference(req.body);
+    if (!explicitPreference) {
+      return res.status(400).json({ error: `Invalid explicit preference. Must be one of: ${EXPLICIT_PREFERENCES.join(', ')}` });
+    }
+    
+    const spotify = getSpotifyClient(req.session);
     
-    // Extract track URIs from the selected tracks (already matched by frontend)
-    const trackUris = selectedTracks
-      .filter(track => track.spotifyUri) // Only include tracks with Spotify URIs
-      .map(track => track.spotifyUri);
+    const chartLabel = chartName ? `imported chart "${chartName}"` : (chartDate ? `week of ${chartDate}` : `year ${year}`);
+    console.log(`🔄 Updating playlist ${playlistId} for ${chartLabel}...`);
+    
+    // Extract track URIs from the selected tracks (already matched by frontend), expanding any matched albums
+    const { trackUris, skippedExplicit } = await collectPlaylistTrackUris(spotify, selectedTracks, albumOptions.albumTrackMode, albumOptions.albumTrackCount, explicitPreference);
     
     if (trackUris.length === 0) {
-      return res.status(400).json({ error: 'No valid Spotify tracks found in selection' });
+      return res.status(400).json({ error: 'No valid Spotify tracks found in selection', skippedExplicit });
     }
     
     console.log(`🎵 Adding ${trackUris.length} tracks to playlist...`);
     
     // Clear existing tracks if replaceAll is true
     if (replaceAll) {
-      await spotifyAPI.clearPlaylist(playlistId, req.session.spotifyAccessToken);
+      await spotify.clearPlaylist(playlistId);
     }
     
     // Add tracks to playlist
-    await spotifyAPI.addTracksToPlaylist(playlistId, trackUris, req.session.spotifyAccessToken);
+    await spotify.addTracksToPlaylist(playlistId, trackUris);
     
     // Get updated playlist info
-    const playlist = await spotifyAPI.getPlaylist(playlistId, req.session.spotifyAccessToken);
+    const playlist = await spotify.getPlaylist(playlistId);
     
     res.json({
       success: true,
@@ -550,7 +1526,10 @@ app.post('/api/update-playlist', async (req, res) => {
         url: playlist.external_urls.spotify,
         tracksFound: trackUris.length,
         tracksSearched: selectedTracks.length,
+        skippedExplicit: skippedExplicit,
         year: year,
+        chartDate: chartDate,
+        chartName: chartName,
         totalTracks: playlist.tracks.total
       }
     });
@@ -582,6 +1561,7 @@ app.get('/api/user-status', (req, res) => {
   const hasAccessToken = !!req.session.spotifyAccessToken;
   const hasRefreshToken = !!req.session.spotifyRefreshToken;
   const tokenAge = req.session.tokenTimestamp ? Date.now() - req.session.tokenTimestamp : null;
+  const tokenExpiresIn = req.session.tokenExpiresAt ? req.session.tokenExpiresAt - Date.now() : null;
   
   res.json({
     authenticated: hasAccessToken,
@@ -589,6 +1569,7 @@ app.get('/api/user-status', (req, res) => {
     userId: req.session.spotifyUserId,
     user: req.session.spotifyUser,
     tokenAge: tokenAge ? Math.round(tokenAge / 1000 / 60) : null, // in minutes
+    tokenExpiresIn: tokenExpiresIn !== null ? Math.round(tokenExpiresIn / 1000 / 60) : null, // in minutes
     sessionId: req.sessionID
   });
 });
@@ -601,27 +1582,82 @@ app.use((err, req, res, next) => {
 
 // 404 handler
 /**
- * Update selected match for a track
+ * Accept or override the Spotify match for a chart entry, storing it for everyone
  */
 app.post('/api/select-match', async (req, res) => {
   try {
-    const { position, matchIndex } = req.body;
+    if (!req.session.spotifyAccessToken) {
+      return res.status(401).json({ 
+        error: 'Not authenticated with Spotify',
+        authenticated: false 
+      });
+    }
+    
+    const { position, matchIndex, title, artist, entryType, spotifyId, overridden } = req.body;
     
-    if (typeof position === 'undefined' || typeof matchIndex === 'undefined') {
-      return res.status(400).json({ error: 'Position and matchIndex are required' });
+    if (!title || !artist || !SPOTIFY_ID_PATTERN.test(spotifyId || '')) {
+      return res.status(400).json({ error: 'Title, artist and the selected Spotify ID are required' });
     }
-
-    // Store the selection in session or return success
-    // For now, we'll just return success - the frontend will handle the selection
+    
+    // Stored matches are shown to everyone, so only what Spotify returns for the ID is stored
+    const spotify = getSpotifyClient(req.session);
+    const track = entryType === 'album' ? await spotify.getAlbumById(spotifyId) : await spotify.getTrackById(spotifyId);
+    
+    if (!track) {
+      return res.status(404).json({ error: `Spotify ${entryType === 'album' ? 'album' : 'track'} not found` });
+    }
+    
+    const stored = await matchStore.set({ title, artist, entryType }, track, {
+      userId: req.session.spotifyUserId,
+      userName: req.session.spotifyUser?.display_name,
+      overridden: !!overridden
+    });
+    
     res.json({ 
       success: true, 
       position: position, 
-      selectedMatch: matchIndex 
+      selectedMatch: matchIndex,
+      storedMatch: matchStore.summarize(stored)
     });
     
   } catch (error) {
     console.error('Error selecting match:', error);
-    res.status(500).json({ error: 'Failed to select match' });
+    res.status(500).json({ 
+      error: 'Failed to select match',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Forget the stored match for a chart entry, so it is searched for again
+ */
+app.post('/api/select-match/clear', async (req, res) => {
+  try {
+    if (!req.session.spotifyAccessToken) {
+      return res.status(401).json({ 
+        error: 'Not authenticated with Spotify',
+        authenticated: false 
+      });
+    }
+    
+    const { title, artist, entryType } = req.body;
+    
+    if (!title || !artist) {
+      return res.status(400).json({ error: 'Title and artist are required' });
+    }
+    
+    const removed = await matchStore.remove({ title, artist, entryType });
+    console.log(`🗑️ ${removed ? 'Cleared' : 'No'} stored match for ${title} by ${artist}`);
+    
+    res.json({ success: true, removed });
+    
+  } catch (error) {
+    console.error('Error clearing stored match:', error);
+    res.status(500).json({ 
+      error: 'Failed to clear stored match',
+      details: error.message 
+    });
   }
 });
 
@@ -630,13 +1666,17 @@ app.post('/api/get-track-by-id', async (req, res) => {
     try {
         const { trackId } = req.body;
         
+        if (!req.session.spotifyAccessToken) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
         if (!trackId) {
             return res.status(400).json({ error: 'Track ID is required' });
         }
 
         console.log(`🔍 Getting track details for ID: ${trackId}`);
 
-        const track = await spotifyAPI.getTrackById(trackId);
+        const track = await getSpotifyClient(req.session).getTrackById(trackId);
         
         if (track) {
             console.log(`✅ Found track: ${track.name} by ${track.artist}`);
@@ -654,7 +1694,7 @@ app.post('/api/get-track-by-id', async (req, res) => {
 // Fetch more matches for a specific track
 app.post('/api/fetch-more-matches', async (req, res) => {
   try {
-    const { position, title, artist, searchQuery } = req.body;
+    const { position, title, artist, searchQuery, entryType } = req.body;
     
     if (!req.session.spotifyAccessToken) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -667,8 +1707,23 @@ app.post('/api/fetch-more-matches', async (req, res) => {
     console.log(`🔍 Fetching more matches for position ${position}: ${title} by ${artist}`);
     console.log(`🔍 Search query: "${searchQuery}"`);
     
-    // Search for more tracks with a higher limit
-    const additionalTracks = await spotifyAPI.searchTracks(searchQuery, 10);
+    // Search for more tracks (or albums for album charts) with a higher limit
+    const spotify = getSpotifyClient(req.session);
+    const searchResults = entryType === 'album' ?
+      await spotify.searchAlbums(searchQuery, 10) :
+      await spotify.searchTracks(searchQuery, 10);
+    
+    // Scored like the original candidates, so the same confidence and reasons are shown
+    const { autoAcceptThreshold, chartYear, explicitPreference } = getMatchOptions(req.body) || { autoAcceptThreshold: AUTO_ACCEPT_THRESHOLD };
+    const scoringOptions = { threshold: autoAcceptThreshold, chartYear, explicitPreference };
+    let additionalTracks = assessCandidates(searchResults, { title, artist, entryType }, scoringOptions).candidates;
+    
+    // Nothing confident from search, so add what the artist's catalogue has
+    if (entryType !== 'album' && additionalTracks.every(candidate => candidate.needsReview)) {
+      const catalogue = await spotify.searchArtistCatalogue({ title, artist }, { chartYear, limit: 5 });
+      const newTracks = catalogue.tracks.filter(found => !searchResults.some(existing => existing.id === found.id));
+      additionalTracks = assessCandidates([...searchResults, ...newTracks], { title, artist, entryType }, scoringOptions).candidates;
+    }
     console.log(`🔍 Found ${additionalTracks.length} additional tracks`);
     
     if (additionalTracks.length > 0) {
@@ -707,11 +1762,32 @@ app.listen(PORT, () => {
   console.log(`📱 Open your browser and visit: http://localhost:${PORT}`);
   console.log(`🎵 Ready to create Spotify playlists from UK charts!`);
   
+  // Read the chart archive listing in the background so the first /api/years request is fast
+  yearChartScraper.getAvailableYears()
+    .then(years => console.log(`📅 ${years.length} end-of-year charts available`))
+    .catch(error => console.warn('⚠️ Failed to resolve chart years:', error.message));
+  
   // Check if Spotify credentials are configured
-  if (!process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET) {
+  if (!process.env.SPOTIFY_CLIENT_ID) {
     console.log(`⚠️  Warning: Spotify credentials not configured!`);
-    console.log(`   Please set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET in your .env file`);
+    console.log(`   Please set SPOTIFY_CLIENT_ID (and SPOTIFY_CLIENT_SECRET, unless using PKCE) in your .env file`);
+  } else {
+    console.log(`🔐 Spotify logins use the ${spotifyApp.usesPkce() ? 'PKCE' : 'client secret'} authorization flow`);
+  }
+  
+  if (!process.env.SESSION_SECRET) {
+    console.log(`🔑 SESSION_SECRET is not set, so sessions are signed with the generated key in data/session.key`);
   }
 });
 
+// Close the shared scraping browser so Chromium doesn't outlive the server, and flush sessions to disk
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, async () => {
+    console.log(`👋 Received ${signal}, shutting down...`);
+    await yearChartScraper.browserPool.close();
+    await sessionStore.close?.();
+    process.exit(0);
+  });
+});
+
 export default app;